@@ -11,7 +11,11 @@ module.exports = {
 		recursive: require('./parsers/recursive'),
 		simple: require('./parsers/simple')
 	},
+	errors: require('./util/errors'),
+	ParseError: require('./util/errors').ParseError,
+	SecurityError: require('./util/errors').SecurityError,
 	util: {
-		languageBuilder: require('./util/language-builder')
+		languageBuilder: require('./util/language-builder'),
+		ast: require('./util/ast')
 	}
 };
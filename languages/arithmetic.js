@@ -7,7 +7,7 @@ module.exports = arithmeticLanguage();
  *
  * @description
  * A JavaScript-like language for arithmetic expressions.  Supports members,
- * subscripts, and functions.
+ * subscripts, functions, and array/object literals.
  *
  * It is passed to the {@link recursiveParser} to generate the language parser.
  *
@@ -19,8 +19,17 @@ module.exports = arithmeticLanguage();
  * See "arithmetic" unit tests.
  */
 function arithmeticLanguage() {
-	/* No operators with side effects */
-	var operator = '=== !== == != >>> << >> && || + - / * % , . | & ^ : ? ! ~'.split(' ');
+	/*
+	 * No operators with side effects.  Longer operators must precede their
+	 * prefixes (e.g. "<=" before "<") since the first match wins.
+	 */
+	var symbolOperators = '=== !== == != >>> << >> <= >= < > && || + - / * % , . | & ^ : ? ! ~'.split(' ');
+	/* Keyword operators must not match the start of a longer identifier */
+	var keywordOperators = ['instanceof', 'in'];
+	var operator = new RegExp(symbolOperators
+		.map(function (op) { return op.replace(/[\\\.\+\*\?\[\]\(\)\^\$\|]/g, '\\$&'); })
+		.concat(keywordOperators.map(function (op) { return op + '\\b'; }))
+		.join('|'));
 	/* Boo hoo no unicode cry me a river */
 	var identifier = /[A-Za-z\$_][A-Za-z\d\$_]*/;
 	var decimal = /(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/;
@@ -31,7 +40,7 @@ function arithmeticLanguage() {
 			$root: 'expression',
 			whitespace: { entity: /\s+/, samePostgroups: true },
 			expression: ['value', 'operator'],
-			value: ['parentheses', 'identifier', 'number', 'string'],
+			value: ['parentheses', 'array', 'object', 'identifier', 'number', 'string'],
 			number: ['hexadecimal', 'decimal'],
 			string: ['sqString', 'dqString'],
 			postValue: ['operator', 'call', 'index'],
@@ -39,6 +48,7 @@ function arithmeticLanguage() {
 			call: { start: '(', end: ')', subgroups: ['expression'], postgroups: ['postValue'] },
 			index: { start: '[', end: ']', subgroups: ['expression'], postgroups: ['postValue'] },
 			array: { start: '[', end: ']', subgroups: ['expression'], postgroups: ['postValue'] },
+			object: { start: '{', end: '}', subgroups: ['expression'], postgroups: ['postValue'] },
 			operator: { entity: operator, postgroups: ['expression'] },
 			identifier: { entity: identifier, postgroups: ['postValue'] },
 			decimal: { entity: decimal, postgroups: ['postValue'] },
@@ -21,6 +21,14 @@ module.exports = comprehensionLanguage();
  *    a brace-square bracketing:
  *    `{[ myFunction(arg1, arg2, arg3) ]}`
  *
+ * Typed capture:
+ *
+ *  * `{capture-name:type}`
+ *
+ *  * The type is either the name of a registered capture type (see
+ *    {@link registerType}), e.g. `{count:number}`, or a list of literal
+ *    alternatives, e.g. `{dir:asc|desc}`
+ *
  * Optional group or choice:
  *
  *  * `[optional subexpression] [choice|other-choice]`
@@ -31,6 +39,23 @@ module.exports = comprehensionLanguage();
  *
  *  * Options may contain captures, text literals, and more options
  *
+ * Repetition:
+ *
+ *  * `[repeated subexpression]*` (zero or more) or
+ *    `[repeated subexpression]+` (one or more)
+ *
+ *  * An optional separator may follow in parentheses, e.g. `[{col}]+(,)`.
+ *    The separator may not contain white-space, and may be surrounded by
+ *    white-space in the expression.
+ *
+ *  * Captures within a repetition result in arrays of values.  A capture
+ *    next to a repetition of the same capture, e.g. `{col}[, {col}]*`, is
+ *    merged into the array.
+ *
+ *  * Bare captures within a repetition stop at its separator
+ *
+ *  * A `*` or `+` which does not follow an optional group is literal text
+ *
  * Choice:
  *
  *  * Entity which if present, separates the current expression into several
@@ -46,6 +71,8 @@ module.exports = comprehensionLanguage();
  *
  * select {column} from {table} [order by {sort} [[asc|desc]]] [limit {count}]
  *
+ * select {column}[, {column}]* from {table}
+ *
  * [[[{select} as] {label} [group by {grouping}] for] [({key}, {value})|{value}] in] {source} [track by {trackexpr}]
  */
 function comprehensionLanguage() {
@@ -53,11 +80,16 @@ function comprehensionLanguage() {
 	return languageBuilder(
 		{
 			$root: 'expression',
-			expression: ['capture', 'options', 'choice', 'whitespace'],
-			/* Captures are specified as {capture-name} */
-			capture: { start: '{', end: '}' },
+			expression: ['capture', 'options', 'repeatAny', 'repeatSome', 'choice', 'whitespace'],
+			/* Captures are specified as {capture-name} or {capture-name:type} */
+			capture: { start: '{', end: '}', subgroups: ['captureType'] },
+			/* Separates the capture name from its type */
+			captureType: { entity: ':' },
 			/* Optional groups are specified as [stuff], equivalent to [stuff|] */
 			options: { start: '[', end: ']', subgroups: ['expression'] },
+			/* Repetition of the preceding optional group: [stuff]* or [stuff]+ */
+			repeatAny: { entity: '*' },
+			repeatSome: { entity: '+' },
 			/* Choices are specified as [this|that], one option MUST be chosen */
 			choice: { entity: '|' },
 			/* White space */
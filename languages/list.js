@@ -6,7 +6,18 @@ module.exports = listLanguage();
  *
  * @description
  * Template syntax for list comprehension expressions.
+ *
+ * The optional clauses after the source are applied in order: "where" filters
+ * the source items, "order by" sorts them and "limit"/"offset" slice them.
+ * Several sort keys may be given as a bracketed list, each with an optional
+ * direction: `order by {[ item.group, item.price desc ]}`.
  */
 function listLanguage() {
-	return '[{select} as] {label} [group by {group}] for [({key}, {value})|{value}] in {source} [track by {memo}]|{source}';
+	/*
+	 * The optional clauses after the source each begin with their whitespace,
+	 * so that any combination of them may be omitted
+	 */
+	return '[{select} as] {label} [group by {group}] for [({key}, {value})|{value}] in {source}' +
+		'[ where {where}][ order by {order}[ {direction:asc|desc}]][ limit {limit}[ offset {offset}]]' +
+		'[ track by {memo}]|{source}';
 }
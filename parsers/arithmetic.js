@@ -1,6 +1,10 @@
 var _ = require('lodash');
 var recursiveParser = require('./recursive');
 var arithmeticLanguage = require('../languages/arithmetic');
+var errors = require('../util/errors');
+var ast = require('../util/ast');
+var ParseError = errors.ParseError;
+var SecurityError = errors.SecurityError;
 
 /**
  * @name arithmeticEvaluator
@@ -21,6 +25,45 @@ var arithmeticLanguage = require('../languages/arithmetic');
  *  * notStrict: prevents throwing of exceptions on attempts to access globals
  *    (i.e. direct properties of the scope) which do not exist.
  *
+ *  * filters: enables AngularJS-style filter chains, e.g.
+ *    `items | orderBy:'name' | limitTo:10`.  Either `true` to use the global
+ *    filter registry (see {@link registerFilter}), or an object mapping filter
+ *    names to functions, which takes precedence over the global registry.
+ *    A filter is called as `filter(input, arg1, arg2, ...)`.
+ *
+ *    The filter operator has lower precedence than every other operator except
+ *    the comma, which still separates list items (function parameters, array
+ *    items), so each list item may have its own filter chain.  In filter mode,
+ *    "|" is no longer available as the bitwise OR operator, and filter
+ *    arguments which contain a ternary operator must be parenthesised.
+ *    Unknown filters are reported when the expression is compiled.
+ *
+ *  * codegen: generates native JavaScript functions for evaluate/set from the
+ *    expression tree (via `new Function`), instead of evaluating the tree
+ *    itself.  This avoids the per-node function calls and the per-call
+ *    merging of constants/scope/locals, at the cost of a slower compile.
+ *    Results are identical to those of the tree evaluator.  Identifiers and
+ *    literals from the expression are never spliced into the generated code
+ *    unquoted: property names and strings are emitted as JSON string literals
+ *    and any other values are passed in by reference.  The generated source is
+ *    available via the "source" property of the result.
+ *
+ *  * safe: sandboxes the expression, for evaluating untrusted expressions.
+ *    Either `true`, or an object `{ functions: [...] }` where "functions" is a
+ *    whitelist of the only functions which the expression may call.  Access
+ *    to "constructor", "__proto__", "prototype", "__defineGetter__" and
+ *    similar properties/variables is refused, and calling the Function
+ *    constructor (or its async/generator relatives) or eval is refused, as are
+ *    calls to call/apply/bind and Reflect.apply/construct, which could call
+ *    them indirectly, and calls to bound functions (which hide their target)
+ *    unless they are whitelisted.  Violations throw a {@link SecurityError},
+ *    which has the position of the offending token.  Names are checked when
+ *    the expression is compiled, while subscripts and function calls are
+ *    checked when it is evaluated.
+ *
+ * @throws {ParseError}
+ * If the expression is not valid
+ *
  * @return {function}
  * This function takes a arithmetic expression and returns an evaluator
  * function.  Where possible, a setter function is also provided to allow
@@ -28,6 +71,17 @@ var arithmeticLanguage = require('../languages/arithmetic');
  *
  * To evaluate: result(scope) or result.evaluate(scope)
  * To set: result.set(scope, value)
+ * To find the scope paths read: result.dependencies() (or, without creating
+ * an evaluator, arithmeticEvaluatorFactory.dependencies(expression))
+ * To get the expression tree in the common format (see util/ast): result.ast()
+ *
+ * dependencies() returns { roots, paths }, where roots are the names of the
+ * variables read and paths is an array of { path, open }.  Each path is an
+ * array of a root name followed by static member names, e.g. ['model',
+ * 'items'] for `model.items[mv.itemIndex]` (along with ['mv', 'itemIndex']).
+ * A path is open-ended (open: true) if a dynamic subscript or a call is
+ * applied to it, so the expression may read anything below it.  Built-in
+ * constants are not reported unless the rawScope option is set.
  *
  * @description
  * A function which generates a arithmetic evaluator for any given
@@ -43,6 +97,177 @@ var arithmeticLanguage = require('../languages/arithmetic');
 
 module.exports = arithmeticEvaluatorFactory;
 
+/* Properties which allow escaping from the sandbox in "safe" mode */
+var forbiddenNames = [
+	'constructor',
+	'prototype',
+	'__proto__',
+	'__defineGetter__',
+	'__defineSetter__',
+	'__lookupGetter__',
+	'__lookupSetter__',
+	'caller',
+	'callee',
+	'arguments'
+];
+
+/*
+ * Functions which call another function, so could be used to call a forbidden
+ * function (e.g. "f.call.call(Function, null, ...)") in "safe" mode
+ */
+var indirectFunctions = _.compact([
+	Function.prototype.call,
+	Function.prototype.apply,
+	Function.prototype.bind,
+	typeof Reflect !== 'undefined' && Reflect.apply,
+	typeof Reflect !== 'undefined' && Reflect.construct
+]);
+
+/* Built-in variables, available unless the "rawScope" option is set */
+var constants = {
+	'null': null,
+	'undefined': undefined,
+	'true': true,
+	'false': false,
+	'NaN': NaN,
+	'Infinity': Infinity
+};
+
+arithmeticEvaluatorFactory.filters = {};
+arithmeticEvaluatorFactory.registerFilter = registerFilter;
+arithmeticEvaluatorFactory.complete = complete;
+arithmeticEvaluatorFactory.dependencies = dependencies;
+
+/**
+ * @name registerFilter
+ *
+ * @param {string} name
+ * The name of the filter, as used in expressions
+ *
+ * @param {function} filter
+ * function (input, arg1, arg2, ...) which returns the filtered value
+ *
+ * @description
+ * Registers a filter globally, for use by expressions compiled with the
+ * "filters" option.  Filters passed via the "filters" option take precedence
+ * over globally registered filters with the same name.
+ */
+function registerFilter(name, filter) {
+	if (typeof filter !== 'function') {
+		throw new Error('Filter "' + name + '" is not a function');
+	}
+	arithmeticEvaluatorFactory.filters[name] = filter;
+}
+
+/**
+ * @name complete
+ *
+ * @param {string} expression
+ * The (possibly incomplete) expression being edited
+ *
+ * @param {number} [offset]
+ * Offset of the cursor in the expression (default: end of expression)
+ *
+ * @param {object} [scope]
+ * Scope to suggest identifiers from.  After a path such as "a.b.", the
+ * properties of the object at that path are suggested instead.
+ *
+ * @returns {object}
+ * See {@link recursiveParser.complete}
+ */
+function complete(expression, offset, scope) {
+	if (typeof offset !== 'number') {
+		scope = offset;
+		offset = expression.length;
+	}
+	return recursiveParser.complete(expression, offset, arithmeticLanguage, {
+		suggest: suggest
+	});
+
+	function suggest(term, context) {
+		if (term !== 'identifier') {
+			return [];
+		}
+		var last = _.last(context.nodes);
+		if (!last || last.content !== '.') {
+			return _.keys(constants).concat(_.keysIn(scope));
+		}
+		/* Property names can only be suggested for static paths */
+		var path = memberPath(context.nodes);
+		if (!path) {
+			return [];
+		}
+		var value = _.reduce(path, function (obj, name) {
+			return obj === null || obj === undefined ? undefined : obj[name];
+		}, _.assign({}, constants, scope));
+		return value === null || value === undefined ? [] : _.keysIn(Object(value));
+	}
+}
+
+/**
+ * @name dependencies
+ *
+ * @param {string|parsetree} expression
+ * The expression, or its parse tree from the {@link recursiveParser} given the
+ * {@link arithmeticLanguage} definition
+ *
+ * @param {object} [options]
+ * The "filters" and "rawScope" options, as for the evaluator factory
+ *
+ * @returns {object}
+ * The same as dependencies() on an evaluator for the expression, without
+ * building the evaluator's functions
+ */
+function dependencies(expression, options) {
+	options = _.assign({ rawScope: false, filters: false }, options);
+	var compileOptions = { filters: filterSet(options) };
+	var tree = expression;
+	if (typeof expression === 'string') {
+		tree = recursiveParser(expression, arithmeticLanguage, {
+			originalStrings: true,
+		});
+		compileOptions.expression = expression;
+	}
+	var result = compileTree(tree, compileOptions).dependencies();
+	return options.rawScope ? result : scopeDependencies(result);
+}
+
+/* Built-in constants are not dependencies on the scope */
+function scopeDependencies(result) {
+	var paths = _.reject(result.paths, function (dep) {
+		return _.has(constants, dep.path[0]);
+	});
+	return {
+		roots: _.difference(result.roots, _.keys(constants)),
+		paths: paths
+	};
+}
+
+/* Filters passed in the options, along with the global filters */
+function filterSet(options) {
+	return options.filters ?
+		_.assign({}, arithmeticEvaluatorFactory.filters, options.filters) :
+		null;
+}
+
+/*
+ * Given nodes which end with a member operator, get the names in the path if it
+ * is static (e.g. "a.b."), otherwise null
+ */
+function memberPath(nodes) {
+	var path = [];
+	for (var i = nodes.length - 2; i >= 0; i -= 2) {
+		if (nodes[i].type !== 'identifier') {
+			return null;
+		}
+		path.unshift(nodes[i].content);
+		if (i === 0 || nodes[i - 1].content !== '.') {
+			return path;
+		}
+	}
+	return null;
+}
+
 /**
  * @name arithmeticEvaluatorFactory
  * @private
@@ -51,22 +276,32 @@ module.exports = arithmeticEvaluatorFactory;
  * See {@link arithmeticLanguage}
  */
 function arithmeticEvaluatorFactory(expression, options) {
-	options = _.assign({ rawScope: false, notStrict: false }, options);
+	options = _.assign({ rawScope: false, notStrict: false, filters: false }, options);
 	var tree = recursiveParser(expression, arithmeticLanguage, {
 		originalStrings: true,
 	});
-	var evaluator = compileTree(tree, { strictMode: !options.notStrict });
+	var evaluator = compileTree(tree, {
+		expression: expression,
+		strictMode: !options.notStrict,
+		filters: filterSet(options),
+		safe: options.safe ? { functions: options.safe.functions || null } : null
+	});
+	var dependencies = options.rawScope ? evaluator.dependencies : function () {
+		return scopeDependencies(evaluator.dependencies());
+	};
+	if (options.codegen) {
+		var generated = generateEvaluator(evaluator, {
+			rawScope: options.rawScope,
+			strictMode: !options.notStrict
+		});
+		generated.dependencies = dependencies;
+		generated.ast = evaluator.ast;
+		return generated;
+	}
 	evaluate.evaluate = evaluate;
 	evaluate.set = set;
-
-	var constants = {
-		'null': null,
-		'undefined': undefined,
-		'true': true,
-		'false': false,
-		'NaN': NaN,
-		'Infinity': Infinity
-	};
+	evaluate.dependencies = dependencies;
+	evaluate.ast = evaluator.ast;
 
 	return options.rawScope ? evaluator : evaluate;
 
@@ -85,10 +320,152 @@ function arithmeticEvaluatorFactory(expression, options) {
 	}
 }
 
+/*
+ * Generates native evaluate/set functions from an expression tree, by having
+ * each node of the tree emit JavaScript source for itself.  The result has the
+ * same interface as the result of arithmeticEvaluatorFactory.
+ */
+function generateEvaluator(evaluator, options) {
+	var rawScope = options.rawScope;
+	var strictMode = options.strictMode;
+	/* Values passed by reference into the generated code */
+	var refs = [];
+	/* Temporary variables used by the generated code */
+	var temps = [];
+	var code = {
+		ref: ref,
+		literal: literal,
+		temp: temp,
+		symbol: symbol,
+		setSymbol: setSymbol,
+		fail: fail,
+		check: check
+	};
+	var evaluateBody = 'return ' + evaluator.generate(code) + ';';
+	var setBody = evaluator.generateSet(code, 'value') + ';';
+	var declarations = temps.length ? 'var ' + temps.join(', ') + ';' : '';
+	var params = rawScope ? 'scope' : 'scope, locals';
+	var source = [
+		'return {',
+		'evaluate: function evaluate(' + params + ') {',
+		declarations,
+		evaluateBody,
+		'},',
+		'set: function set(' + params + ', value) {',
+		rawScope ? '' : 'if (arguments.length === 2) { value = locals; locals = undefined; }',
+		declarations,
+		setBody,
+		'}',
+		'};'
+	].filter(Boolean).join('\n');
+	var refNames = refs.map(function (value, index) { return '$r' + index; });
+	var functions = Function.apply(null, refNames.concat([source])).apply(null, refs);
+	var evaluate = functions.evaluate;
+	evaluate.evaluate = evaluate;
+	evaluate.set = functions.set;
+	evaluate.source = source;
+
+	return rawScope ? _.assign({ source: source }, functions) : evaluate;
+
+	/* Pass a value by reference, returns the name of the reference */
+	function ref(value) {
+		var index = refs.indexOf(value);
+		if (index === -1) {
+			index = refs.push(value) - 1;
+		}
+		return '$r' + index;
+	}
+
+	/* Emit a literal value */
+	function literal(value) {
+		if (typeof value === 'string') {
+			return JSON.stringify(value);
+		} else if (typeof value === 'number' && isFinite(value)) {
+			return String(value);
+		} else {
+			return ref(value);
+		}
+	}
+
+	/* Allocate a temporary variable */
+	function temp() {
+		var name = '$t' + temps.length;
+		temps.push(name);
+		return name;
+	}
+
+	/* Read a variable */
+	function symbol(name) {
+		if (rawScope) {
+			return strictMode ?
+				'(' + literal(name) + ' in scope ? scope[' + literal(name) + '] : ' +
+					ref(undefinedVariable) + '(' + literal(name) + '))' :
+				'scope[' + literal(name) + ']';
+		} else {
+			return ref(lookupSymbol) + '(scope, locals, ' + literal(name) + ')';
+		}
+	}
+
+	/*
+	 * Write a variable.  Without rawScope, the tree evaluator writes to a
+	 * temporary merged scope, so the only effect is the strict-mode check.
+	 */
+	function setSymbol(name, value) {
+		if (rawScope) {
+			return (strictMode ? '(' + literal(name) + ' in scope || ' +
+					ref(undefinedVariable) + '(' + literal(name) + ')), ' : '') +
+				'scope[' + literal(name) + '] = ' + value;
+		} else {
+			return symbol(name);
+		}
+	}
+
+	/*
+	 * Emit a call to a check function (from safe mode), which returns the
+	 * checked value
+	 */
+	function check(checker, value, position) {
+		return ref(checker) + '(' + value + ', ' + literal(position) + ')';
+	}
+
+	/* Emit an expression which throws an error */
+	function fail(message) {
+		return ref(raise) + '(' + literal(message) + ')';
+	}
+
+	/*
+	 * Equivalent to reading the variable from
+	 * _.assign({}, constants, scope, locals)
+	 */
+	function lookupSymbol(scope, locals, name) {
+		if (locals && _.has(locals, name)) {
+			return locals[name];
+		} else if (scope && _.has(scope, name)) {
+			return scope[name];
+		} else if (_.has(constants, name)) {
+			return constants[name];
+		} else if (strictMode && !(name in Object.prototype)) {
+			undefinedVariable(name);
+		}
+		return Object.prototype[name];
+	}
+
+	function undefinedVariable(name) {
+		throw new Error('Undefined variable: ' + name);
+	}
+
+	function raise(message) {
+		throw new Error(message);
+	}
+}
+
 function compileTree(tree, options) {
 
-	options = _.assign({ strictMode: true }, options);
+	options = _.assign({ expression: tree.content, strictMode: true, filters: null, safe: null }, options);
+	var expression = options.expression;
 	var strictMode = options.strictMode;
+	var filters = options.filters;
+	var safe = options.safe;
 
 	/* Greenspun's tenth rule in action */
 
@@ -102,7 +479,7 @@ function compileTree(tree, options) {
 
 	/* Operator precedence */
 	var precedence = [
-		{ level: 19, direction: 1, items: [mapSubexpressions, mapSymbols, mapValues] },
+		{ level: 19, direction: 1, items: [mapSubexpressions, mapArrays, mapObjects, mapSymbols, mapValues] },
 		{ level: 18, direction: 1, items: [mapMembers, mapIndexes, mapCalls] },
 	//	{ level: 17, direction: 1, items: [mapCalls] },
 	//	{ level: 16, direction: 1, items: [mapPostfix] },
@@ -133,6 +510,16 @@ function compileTree(tree, options) {
 		},
 		evaluateList: function (scope) {
 			return [this.evaluate(scope)];
+		},
+		/* Code generation: see generateEvaluator */
+		generate: function (code) {
+			throw new Error('Expression cannot be compiled');
+		},
+		generateSet: function (code, value) {
+			return code.fail('Expression is read-only');
+		},
+		generateList: function (code) {
+			return [this.generate(code)];
 		}
 	};
 
@@ -146,8 +533,19 @@ function compileTree(tree, options) {
 	Member.prototype = new Evaluatable();
 	Index.prototype = new Evaluatable();
 	Call.prototype = new Evaluatable();
-
-	return new Expression(tree);
+	ExpressionList.prototype = new Evaluatable();
+	ArrayLiteral.prototype = new Evaluatable();
+	ObjectLiteral.prototype = new Evaluatable();
+	FilterChain.prototype = new Evaluatable();
+
+	var root = new Expression(tree);
+	root.dependencies = function () {
+		return analyzeDependencies(root);
+	};
+	root.ast = function () {
+		return toAst(root);
+	};
+	return root;
 
 	/*** Parse tree => Expression tree translators ***/
 
@@ -161,6 +559,46 @@ function compileTree(tree, options) {
 		};
 	}
 
+	function mapArrays(curr, prev, next) {
+		if (curr.type !== 'array') {
+			return;
+		}
+		return {
+			direction: directions.curr,
+			result: new ArrayLiteral(curr)
+		};
+	}
+
+	function mapObjects(curr, prev, next) {
+		if (curr.type !== 'object') {
+			return;
+		}
+		return {
+			direction: directions.curr,
+			result: new ObjectLiteral(curr)
+		};
+	}
+
+	/*
+	 * Filter chains are extracted from the token list before any other
+	 * reduction, since the filter argument separator (":") would otherwise be
+	 * consumed by the ternary operator.  Each comma-separated item is checked
+	 * for a filter chain separately.
+	 */
+	function mapFilterChains(nodes) {
+		var items = splitTokens(nodes, ',');
+		if (!_.some(items, function (item) { return findOperator(item, '|') !== -1; })) {
+			return nodes;
+		}
+		return _(items)
+			.map(function (item, index) {
+				var chain = findOperator(item, '|') === -1 ? item : [new FilterChain(item)];
+				return index ? [{ type: 'operator', content: ',' }].concat(chain) : chain;
+			})
+			.flatten()
+			.value();
+	}
+
 	function mapSymbols(curr, prev, next) {
 		if (curr.type !== 'identifier') {
 			return;
@@ -191,7 +629,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapMembers(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || !(prev instanceof Evaluatable) || curr.content !== '.' || next.type !== 'identifier') {
+		if (!prev || !next || !isOperatorToken(curr) || !(prev instanceof Evaluatable) || curr.content !== '.' || next.type !== 'identifier') {
 			return;
 		}
 		return {
@@ -221,7 +659,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapPostfix(curr, prev, next) {
-		if (!prev || curr.type !== 'operator' || curr.content !== '--' && curr.content !== '++') {
+		if (!prev || !isOperatorToken(curr) || curr.content !== '--' && curr.content !== '++') {
 			return;
 		}
 		return {
@@ -231,7 +669,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapLogicalNot(curr, prev, next) {
-		if (!next || curr.type !== 'operator' || curr.content !== '!') {
+		if (!next || !isOperatorToken(curr) || curr.content !== '!') {
 			return;
 		}
 		return {
@@ -241,7 +679,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapBitwiseNot(curr, prev, next) {
-		if (!next || curr.type !== 'operator' || curr.content !== '~') {
+		if (!next || !isOperatorToken(curr) || curr.content !== '~') {
 			return;
 		}
 		return {
@@ -251,7 +689,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapValueSign(curr, prev, next) {
-		if (prev && prev.type !== 'operator' || !next || curr.type !== 'operator' || curr.content !== '+' && curr.content !== '-') {
+		if (prev && !isOperatorToken(prev) || !next || !isOperatorToken(curr) || curr.content !== '+' && curr.content !== '-') {
 			return;
 		}
 		return {
@@ -261,7 +699,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapPrefix(curr, prev, next) {
-		if (!next || curr.type !== 'operator' || curr.content !== '--' && curr.content !== '++') {
+		if (!next || !isOperatorToken(curr) || curr.content !== '--' && curr.content !== '++') {
 			return;
 		}
 		return {
@@ -271,7 +709,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapMultiplicative(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '/' && curr.content !== '*' && curr.content !== '%') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '/' && curr.content !== '*' && curr.content !== '%') {
 			return;
 		}
 		return {
@@ -281,7 +719,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapAdditive(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '+' && curr.content !== '-') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '+' && curr.content !== '-') {
 			return;
 		}
 		return {
@@ -291,7 +729,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapShifts(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '<<' && curr.content !== '>>' && curr.content !== '>>>') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '<<' && curr.content !== '>>' && curr.content !== '>>>') {
 			return;
 		}
 		return {
@@ -301,7 +739,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapRelational(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '<' && curr.content !== '<=' && curr.content !== '>' && curr.content !== '>=') {
+		if (!prev || !next || !isOperatorToken(curr) || !_.contains(['<', '<=', '>', '>=', 'in', 'instanceof'], curr.content)) {
 			return;
 		}
 		return {
@@ -311,7 +749,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapEquality(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '==' && curr.content !== '!=' && curr.content !== '===' && curr.content !== '!==') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '==' && curr.content !== '!=' && curr.content !== '===' && curr.content !== '!==') {
 			return;
 		}
 		return {
@@ -321,7 +759,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapBitwiseAnd(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '&') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '&') {
 			return;
 		}
 		return {
@@ -331,7 +769,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapBitwiseOr(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '|') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '|') {
 			return;
 		}
 		return {
@@ -341,7 +779,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapBitwiseXor(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '^') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '^') {
 			return;
 		}
 		return {
@@ -351,7 +789,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapLogicalAnd(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '&&') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '&&') {
 			return;
 		}
 		return {
@@ -361,7 +799,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapLogicalOr(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== '||') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== '||') {
 			return;
 		}
 		return {
@@ -371,7 +809,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapTernaryOperation(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== ':' && curr.content !== '?') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== ':' && curr.content !== '?') {
 			return;
 		}
 		return {
@@ -381,7 +819,7 @@ function compileTree(tree, options) {
 	}
 
 	function mapSequence(curr, prev, next) {
-		if (!prev || !next || curr.type !== 'operator' || curr.content !== ',') {
+		if (!prev || !next || !isOperatorToken(curr) || curr.content !== ',') {
 			return;
 		}
 		return {
@@ -411,6 +849,9 @@ function compileTree(tree, options) {
 			return node;
 		}
 		var nodes = [].slice.apply(node.groups);
+		if (filters) {
+			nodes = mapFilterChains(nodes);
+		}
 		_(precedence)
 			.sortByOrder(['level', 'direction'], [false, false])
 			.each(function (oplist) {
@@ -419,11 +860,14 @@ function compileTree(tree, options) {
 			})
 			.value();
 		if (nodes.length !== 1 || !(nodes[0] instanceof Evaluatable)) {
-			throw new Error('Failed to parse expression');
+			throw reductionError(node, nodes);
 		}
 		var root = nodes[0];
 		this.evaluate = evaluate;
 		this.set = set;
+		this.generate = generate;
+		this.generateSet = generateSet;
+		this.root = root;
 
 		function evaluate(scope) {
 			return root.evaluate(scope);
@@ -432,14 +876,28 @@ function compileTree(tree, options) {
 		function set(scope, value) {
 			return root.set(scope, value);
 		}
+
+		function generate(code) {
+			return root.generate(code);
+		}
+
+		function generateSet(code, value) {
+			return root.generateSet(code, value);
+		}
 	}
 
 	/* Class for a variable name */
 	function Symbol(node) {
 		Evaluatable.call(this, node);
-		var name = node.content;
+		/*
+		 * Member names are also symbols at this point, so this check covers
+		 * both variables and properties
+		 */
+		var name = checkName(node.content, node.position);
 		this.evaluate = evaluate;
 		this.set = set;
+		this.generate = generate;
+		this.generateSet = generateSet;
 		this.name = name;
 
 		function evaluate(scope) {
@@ -455,11 +913,21 @@ function compileTree(tree, options) {
 			}
 			scope[name] = value;
 		}
+
+		function generate(code) {
+			return code.symbol(name);
+		}
+
+		function generateSet(code, value) {
+			return code.setSymbol(name, value);
+		}
 	}
 
 	function Value(node, value) {
 		Expression.call(this, node, true);
 		this.evaluate = function (scope) { return value; };
+		this.generate = function (code) { return code.literal(value); };
+		this.value = value;
 	}
 
 	function Member(node, left, right) {
@@ -468,8 +936,11 @@ function compileTree(tree, options) {
 		var prop = right.name;
 		this.evaluate = evaluate;
 		this.set = set;
+		this.generate = generate;
+		this.generateSet = generateSet;
 		this.base = base;
 		this.prop = prop;
+		this.propPosition = right.node.position;
 
 		function evaluate(scope) {
 			return base.evaluate(scope)[prop];
@@ -478,6 +949,15 @@ function compileTree(tree, options) {
 		function set(scope, value) {
 			base.evaluate(scope)[prop] = value;
 		}
+
+		function generate(code) {
+			return '(' + base.generate(code) + ')[' +
+				generateKey(code, code.literal(prop), right.node.position) + ']';
+		}
+
+		function generateSet(code, value) {
+			return generate(code) + ' = ' + value;
+		}
 	}
 
 	function Index(node, left, inner) {
@@ -486,31 +966,232 @@ function compileTree(tree, options) {
 		var index = new Expression(inner);
 		this.evaluate = evaluate;
 		this.set = set;
+		this.generate = generate;
+		this.generateSet = generateSet;
 		this.base = base;
 		this.index = index;
 
 		function evaluate(scope) {
-			return base.evaluate(scope)[index.evaluate(scope)];
+			return base.evaluate(scope)[checkKey(index.evaluate(scope), node.position)];
 		}
 
 		function set(scope, value) {
-			base.evaluate(scope)[index.evaluate(scope)] = value;
+			base.evaluate(scope)[checkKey(index.evaluate(scope), node.position)] = value;
+		}
+
+		function generate(code) {
+			return '(' + base.generate(code) + ')[' +
+				generateKey(code, index.generate(code), node.position) + ']';
+		}
+
+		function generateSet(code, value) {
+			return generate(code) + ' = ' + value;
 		}
 	}
 
 	function Call(node, left, inner) {
 		Evaluatable.call(this, node);
 		var func = left;
-		var params = new Expression(inner);
+		var params = new ExpressionList(inner);
 		this.evaluate = evaluate;
+		this.generate = generate;
 		this.func = func;
 		this.params = params;
 
+		/* The base of a method call is evaluated once, for the function and "this" */
+		function evaluate(scope) {
+			var obj;
+			var fn;
+			if (func instanceof Member) {
+				obj = func.base.evaluate(scope);
+				fn = obj[func.prop];
+			} else {
+				fn = func.evaluate(scope);
+			}
+			fn = checkFunction(fn, node.position);
+			return fn.apply(obj, params.evaluate(scope));
+		}
+
+		function generate(code) {
+			if (func instanceof Member) {
+				var obj = code.temp();
+				return code.check(checkFunction, '(' + obj + ' = ' +
+					func.base.generate(code) + ')[' +
+					generateKey(code, code.literal(func.prop), func.propPosition) + ']',
+					node.position) + '.apply(' + obj + ', ' + params.generate(code) + ')';
+			} else {
+				return code.check(checkFunction, func.generate(code), node.position) +
+					'.apply(undefined, ' + params.generate(code) + ')';
+			}
+		}
+	}
+
+	/*
+	 * Class for a comma-separated list of expressions (call parameters, array
+	 * items), which evaluates to an array.  The list may be empty.
+	 */
+	function ExpressionList(node) {
+		Evaluatable.call(this, node);
+		var items = node.groups.length ? new Expression(node) : null;
+		this.evaluate = evaluate;
+		this.generate = generate;
+		this.items = items;
+
+		function evaluate(scope) {
+			return items ? items.root.evaluateList(scope) : [];
+		}
+
+		function generate(code) {
+			return '[' + (items ? items.root.generateList(code).join(', ') : '') + ']';
+		}
+	}
+
+	/* Class for an array literal: [a, b, c] */
+	function ArrayLiteral(node) {
+		Evaluatable.call(this, node);
+		var items = new ExpressionList(node);
+		this.evaluate = evaluate;
+		this.generate = generate;
+		this.items = items;
+
+		function evaluate(scope) {
+			return items.evaluate(scope);
+		}
+
+		function generate(code) {
+			return items.generate(code);
+		}
+	}
+
+	/*
+	 * Class for an object literal: { name: a, 'quoted name': b, [computed]: c }
+	 *
+	 * The parse tree for the contents of the braces is a flat list of tokens,
+	 * so we split it into properties at the top-level commas, then each
+	 * property into key and value at the first colon.  Colons further along
+	 * belong to ternary operators in the value.
+	 */
+	function ObjectLiteral(node) {
+		Evaluatable.call(this, node);
+		var properties = splitTokens(node.groups, ',');
+		/* Allow "{}" */
+		if (properties.length === 1 && !properties[0].length) {
+			properties = [];
+		}
+		properties = properties.map(mapProperty);
+		this.evaluate = evaluate;
+		this.generate = generate;
+		this.properties = properties;
+
+		function evaluate(scope) {
+			return _.reduce(properties, function (result, property) {
+				result[checkKey(property.key.evaluate(scope), property.position)] = property.value.evaluate(scope);
+				return result;
+			}, {});
+		}
+
+		/* Keys are evaluated in order, so computed keys must be handled */
+		function generate(code) {
+			var obj = code.temp();
+			return '(' + obj + ' = {}' + properties.map(function (property) {
+				return ', ' + obj + '[' + generateKey(code,
+					property.key.generate(code), property.position) + '] = ' +
+					property.value.generate(code);
+			}).join('') + ', ' + obj + ')';
+		}
+
+		function mapProperty(tokens) {
+			var key = tokens[0];
+			var colon = tokens[1];
+			if (!key || !colon || colon.type !== 'operator' || colon.content !== ':' || tokens.length < 3) {
+				throw syntaxError('Invalid property in object literal', key || node, key ? ['operator'] : ['value']);
+			}
+			return {
+				key: mapKey(key),
+				value: new Expression({ type: 'property', groups: tokens.slice(2) }),
+				position: key.position
+			};
+		}
+
+		function mapKey(key) {
+			if (key.type === 'identifier') {
+				return new Value(key, checkName(key.content, key.position));
+			} else if (key.type === 'sqString' || key.type === 'dqString') {
+				return new Value(key, checkName(unescapeJsStr(key.groups[0].content), key.position));
+			} else if (key.type === 'decimal') {
+				return new Value(key, String(parseFloat(key.content)));
+			} else if (key.type === 'hexadecimal') {
+				return new Value(key, String(parseInt(key.content)));
+			} else if (key.type === 'array' && key.groups.length) {
+				/* Computed key: [expression] */
+				return new Expression(key);
+			}
+			throw syntaxError('Invalid key in object literal', key, ['identifier', 'string', 'number', 'array']);
+		}
+	}
+
+	/*
+	 * Class for a filter chain: input | filter:arg1:arg2 | filter ...
+	 *
+	 * Constructed from the (unreduced) list of tokens forming the chain.
+	 */
+	function FilterChain(tokens) {
+		var segments = splitTokens(tokens, '|');
+		var pipe = tokens[findOperator(tokens, '|')];
+		Evaluatable.call(this, pipe);
+		if (!segments[0].length) {
+			throw syntaxError('Filter has no input', pipe, ['value']);
+		}
+		var input = new Expression({ type: 'filterInput', groups: segments[0] });
+		var chain = segments.slice(1).map(mapFilter);
+		this.evaluate = evaluate;
+		this.generate = generate;
+		this.input = input;
+		this.chain = chain;
+
 		function evaluate(scope) {
-			var fn = func.evaluate(scope);
-			var ar = params.evaluateList(scope);
-			var obj = (func instanceof Member) ? func.base.evaluate(scope) : undefined;
-			return fn.apply(obj, ar);
+			return _.reduce(chain, function (value, item) {
+				var args = item.args.map(function (arg) {
+					return arg.evaluate(scope);
+				});
+				return item.filter.apply(undefined, [value].concat(args));
+			}, input.evaluate(scope));
+		}
+
+		function generate(code) {
+			return _.reduce(chain, function (value, item) {
+				var args = item.args.map(function (arg) {
+					return arg.generate(code);
+				});
+				return code.ref(item.filter) + '(' + [value].concat(args).join(', ') + ')';
+			}, input.generate(code));
+		}
+
+		function mapFilter(segment) {
+			var name = segment[0];
+			if (!name || name.type !== 'identifier') {
+				throw syntaxError('Expected filter name', name, ['identifier']);
+			}
+			if (!_.has(filters, name.content)) {
+				throw syntaxError('Unknown filter "' + name.content + '"', name, ['identifier']);
+			}
+			var args = splitTokens(segment.slice(1), ':');
+			/* First "argument" is whatever preceded the first colon */
+			var extra = args.shift();
+			if (extra.length) {
+				throw syntaxError('Expected ":" after filter name "' + name.content + '"', extra[0], ['operator']);
+			}
+			return {
+				name: name.content,
+				position: name.position,
+				filter: filters[name.content],
+				args: args.map(function (arg) {
+					if (!arg.length) {
+						throw syntaxError('Missing argument for filter "' + name.content + '"', null, ['value']);
+					}
+					return new Expression({ type: 'filterArgument', groups: arg });
+				})
+			};
 		}
 	}
 
@@ -524,12 +1205,14 @@ function compileTree(tree, options) {
 			trueValue = right.trueValue;
 			falseValue = right.falseValue;
 			this.evaluate = evaluate;
+			this.generate = generate;
 		} else if (node.content === ':') {
 			trueValue = new Expression(left);
 			falseValue = new Expression(right);
 			this.evaluate = function (scope) { throw new Error('Incomplete ternary (missing "?")'); };
+			this.generate = function (code) { return code.fail('Incomplete ternary (missing "?")'); };
 		} else {
-			throw new Error('Incomplete ternary (missing ":")');
+			throw syntaxError('Incomplete ternary (missing ":")', node, ['operator']);
 		}
 
 		this.isColonPart = node.content === ':';
@@ -540,6 +1223,11 @@ function compileTree(tree, options) {
 		function evaluate(scope) {
 			return (condition.evaluate(scope) ? trueValue : falseValue).evaluate(scope);
 		}
+
+		function generate(code) {
+			return '(' + condition.generate(code) + ' ? ' + trueValue.generate(code) +
+				' : ' + falseValue.generate(code) + ')';
+		}
 	}
 
 	function PrefixUnaryOperation(node, inner) {
@@ -558,10 +1246,16 @@ function compileTree(tree, options) {
 			throw new Error('Could not resolve operator "' + node.content + '"');
 		}
 		this.evaluate = evaluate;
+		this.operand = operand;
+		this.generate = generate;
 
 		function evaluate(scope) {
 			return operator(operand.evaluate(scope));
 		}
+
+		function generate(code) {
+			return '(' + node.content + '(' + operand.generate(code) + '))';
+		}
 	}
 
 	function PostfixUnaryOperation(node, inner) {
@@ -576,6 +1270,7 @@ function compileTree(tree, options) {
 			throw new Error('Could not resolve operator "' + node.content + '"');
 		}
 		this.evaluate = evaluate;
+		this.operand = operand;
 
 		function evaluate(scope) {
 			return operator(operand.evaluate(scope));
@@ -593,12 +1288,14 @@ function compileTree(tree, options) {
 			'+': function (a, b) { return a + b; },
 			'-': function (a, b) { return a - b; },
 			'<<': function (a, b) { return a << b; },
-			'>>': function (a, b) { return a << b; },
+			'>>': function (a, b) { return a >> b; },
 			'>>>': function (a, b) { return a >>> b; },
 			'<': function (a, b) { return a < b; },
 			'<=': function (a, b) { return a <= b; },
 			'>': function (a, b) { return a > b; },
 			'>=': function (a, b) { return a >= b; },
+			'in': function (a, b) { return a in b; },
+			'instanceof': function (a, b) { return a instanceof b; },
 			/* jshint ignore:start */
 			'==': function (a, b) { return a == b; },
 			'!=': function (a, b) { return a != b; },
@@ -618,19 +1315,264 @@ function compileTree(tree, options) {
 		}
 		this.evaluate = evaluate;
 		this.evaluateList = evaluateList;
+		this.generate = generate;
+		this.generateList = generateList;
+		this.left = leftOperand;
+		this.right = rightOperand;
 
 		function evaluate(scope) {
-			return operator(leftOperand.evaluate(scope), rightOperand.evaluate(scope));
+			var a = leftOperand.evaluate(scope);
+			/* Logical operators short-circuit */
+			if (node.content === '&&' && !a || node.content === '||' && a) {
+				return a;
+			}
+			return operator(a, rightOperand.evaluate(scope));
 		}
 
 		function evaluateList(scope) {
-			if (operator === ',') {
+			if (node.content === ',') {
 				return leftOperand.evaluateList(scope).concat(
 					rightOperand.evaluateList(scope));
 			} else {
 				return [evaluate(scope)];
 			}
 		}
+
+		function generate(code) {
+			return '(' + leftOperand.generate(code) + ' ' + node.content + ' ' +
+				rightOperand.generate(code) + ')';
+		}
+
+		function generateList(code) {
+			if (node.content === ',') {
+				return leftOperand.generateList(code).concat(
+					rightOperand.generateList(code));
+			} else {
+				return [generate(code)];
+			}
+		}
+	}
+
+	/*** Dependency analysis ***/
+
+	/*
+	 * Find the scope paths which an expression reads.  Each path starts at a
+	 * root identifier and is followed by static member names (a.b, a['b']).  A
+	 * path is "open" if a dynamic index or a call is applied to it, in which
+	 * case the value read may depend on anything below the path.
+	 */
+	function analyzeDependencies(root) {
+		var paths = {};
+		walk(root);
+		var list = _.values(paths);
+		return {
+			roots: _(list).map(function (dep) { return dep.path[0]; }).uniq().value(),
+			paths: list
+		};
+
+		function walk(node) {
+			/* Subscripts and arguments are walked after the path they are in */
+			var inner = [];
+			var dep = accessPath(node, inner);
+			if (dep) {
+				var key = JSON.stringify(dep.path);
+				paths[key] = {
+					path: dep.path,
+					open: dep.open || !!(paths[key] && paths[key].open)
+				};
+			}
+			_.each(inner, walk);
+		}
+
+		/*
+		 * Returns the path accessed by a Symbol/Member/Index/Call chain, or
+		 * null for other nodes (after walking their operands)
+		 */
+		function accessPath(node, inner) {
+			var dep;
+			if (node instanceof Symbol) {
+				return { path: [node.name], open: false };
+			} else if (node instanceof Member) {
+				dep = accessPath(node.base, inner);
+				return extend(dep, node.prop);
+			} else if (node instanceof Index) {
+				dep = accessPath(node.base, inner);
+				var key = node.index.root;
+				if (key instanceof Value && _.contains(['string', 'number'], typeof key.value)) {
+					return extend(dep, String(key.value));
+				}
+				inner.push(node.index);
+				return dep && { path: dep.path, open: true };
+			} else if (node instanceof Call) {
+				dep = accessPath(node.func, inner);
+				inner.push(node.params);
+				return dep && { path: dep.path, open: true };
+			} else if (node instanceof Expression && node.root) {
+				return accessPath(node.root, inner);
+			}
+			_.each(operands(node), walk);
+			return null;
+		}
+
+		/* Add a static member name to a path, unless it is already open */
+		function extend(dep, name) {
+			if (!dep || dep.open) {
+				return dep;
+			}
+			return { path: dep.path.concat([name]), open: false };
+		}
+
+		function operands(node) {
+			if (node instanceof BinaryOperation) {
+				return [node.left, node.right];
+			} else if (node instanceof PrefixUnaryOperation || node instanceof PostfixUnaryOperation) {
+				return [node.operand];
+			} else if (node instanceof TernaryOperation) {
+				return _.compact([node.condition, node.trueValue, node.falseValue]);
+			} else if (node instanceof ExpressionList) {
+				return _.compact([node.items]);
+			} else if (node instanceof ArrayLiteral) {
+				return [node.items];
+			} else if (node instanceof ObjectLiteral) {
+				return _(node.properties).map(function (property) {
+					return [property.key, property.value];
+				}).flatten().value();
+			} else if (node instanceof FilterChain) {
+				return [node.input].concat(_(node.chain).pluck('args').flatten().value());
+			}
+			return [];
+		}
+	}
+
+	/*** Common syntax tree (see util/ast) ***/
+
+	/*
+	 * Expression wrappers (from parentheses etc) are skipped, and comma lists
+	 * in calls and array literals are flattened to one child per item.  Spans
+	 * cover the node's own token and all of its children.
+	 */
+	function toAst(node) {
+		if (node instanceof Expression && node.root) {
+			return toAst(node.root);
+		}
+		if (node instanceof Symbol) {
+			return astNode('symbol', node.name, []);
+		} else if (node instanceof Value) {
+			return astNode('literal', node.value, []);
+		} else if (node instanceof Member) {
+			return astNode('member', node.prop, [toAst(node.base)],
+				[node.propPosition, node.propPosition + node.prop.length]);
+		} else if (node instanceof Index) {
+			return astNode('index', undefined, [toAst(node.base), toAst(node.index)]);
+		} else if (node instanceof Call) {
+			return astNode('call', undefined, [toAst(node.func)].concat(listItems(node.params)));
+		} else if (node instanceof ArrayLiteral) {
+			return astNode('array', undefined, listItems(node.items));
+		} else if (node instanceof ObjectLiteral) {
+			return astNode('object', undefined, node.properties.map(function (property) {
+				var children = [toAst(property.key), toAst(property.value)];
+				return ast.node('property', _.assign({ children: children, source: property }, span(children)));
+			}));
+		} else if (node instanceof FilterChain) {
+			return astNode('filterChain', undefined, [toAst(node.input)].concat(node.chain.map(function (item) {
+				var children = item.args.map(toAst);
+				return ast.node('filter', _.assign({ value: item.name, children: children, source: item },
+					span(children, [item.position, item.position + item.name.length])));
+			})));
+		} else if (node instanceof TernaryOperation) {
+			return astNode('ternary', undefined,
+				_.compact([node.condition, node.trueValue, node.falseValue]).map(toAst));
+		} else if (node instanceof PrefixUnaryOperation) {
+			return astNode('prefix', node.node.content, [toAst(node.operand)]);
+		} else if (node instanceof PostfixUnaryOperation) {
+			return astNode('postfix', node.node.content, [toAst(node.operand)]);
+		} else if (node instanceof BinaryOperation) {
+			return astNode('binary', node.node.content, [toAst(node.left), toAst(node.right)]);
+		}
+		throw new Error('Cannot convert expression node of type ' + node.type);
+
+		function astNode(type, value, children, extra) {
+			var token = node.node;
+			var tokenSpan = token && token.length !== undefined ?
+				[token.position, token.position + token.length] : null;
+			return ast.node(type, _.assign({ value: value, children: children, source: node },
+				span(children, tokenSpan, extra)));
+		}
+	}
+
+	/* Items of an ExpressionList, one per comma-separated value */
+	function listItems(list) {
+		return list.items ? flattenCommas(list.items) : [];
+
+		function flattenCommas(node) {
+			if (node instanceof Expression && node.root) {
+				return flattenCommas(node.root);
+			}
+			if (node instanceof BinaryOperation && node.node.content === ',') {
+				return flattenCommas(node.left).concat(flattenCommas(node.right));
+			}
+			return [toAst(node)];
+		}
+	}
+
+	/* Smallest range covering the given [start, end] pairs and nodes */
+	function span(children) {
+		var ranges = _(arguments).rest()
+			.compact()
+			.concat(children.map(function (child) { return [child.start, child.end]; }))
+			.filter(function (range) { return range[0] !== undefined; })
+			.value();
+		if (!ranges.length) {
+			return {};
+		}
+		return {
+			start: _(ranges).pluck(0).min(),
+			end: _(ranges).pluck(1).max()
+		};
+	}
+
+	/*** Errors ***/
+
+	/*
+	 * Syntax error at a parse-tree node (or at the end of the expression if no
+	 * node is given)
+	 */
+	function syntaxError(message, node, expected) {
+		node = node instanceof Evaluatable ? node.node : node;
+		var position = node ? node.position : expression.length;
+		return new ParseError(message, {
+			expression: expression,
+			position: position,
+			length: node ? node.length : 0,
+			expected: expected
+		});
+	}
+
+	/*
+	 * An expression's node list could not be reduced to a single value, report
+	 * the first leftover token or the first superfluous value
+	 */
+	function reductionError(node, nodes) {
+		if (!nodes.length) {
+			return syntaxError('Empty expression', node.position === undefined ? null : node, ['value']);
+		}
+		var index = _.findIndex(nodes, isOperatorToken);
+		if (index !== -1) {
+			var operator = nodes[index];
+			var last = index === nodes.length - 1;
+			return syntaxError('Unexpected operator "' + operator.content + '"',
+				operator, last ? ['value'] : []);
+		}
+		return syntaxError('Unexpected value', nodes[1], ['operator']);
+	}
+
+	/*
+	 * Is the node an operator token which has not yet been reduced?  Reduced
+	 * operations keep the node of their operator token, so they have the same
+	 * type and content, but they are values.
+	 */
+	function isOperatorToken(node) {
+		return !(node instanceof Evaluatable) && node.type === 'operator';
 	}
 
 	/*** Reduction iterators ***/
@@ -699,6 +1641,84 @@ function compileTree(tree, options) {
 		}
 	}
 
+	/*** Sandboxing ("safe" mode) ***/
+
+	/* Refuse forbidden variable/property names */
+	function checkName(name, position) {
+		if (safe && _.contains(forbiddenNames, name)) {
+			throw new SecurityError('Access to "' + name + '" is forbidden', position);
+		}
+		return name;
+	}
+
+	/*
+	 * Refuse forbidden dynamic property keys.  The key is converted to a string
+	 * first, so that it cannot change (e.g. via toString) after being checked.
+	 */
+	function checkKey(key, position) {
+		if (!safe) {
+			return key;
+		}
+		return checkName(typeof key === 'symbol' ? key : String(key), position);
+	}
+
+	/*
+	 * Property access guard for generated code: the key is only checked in
+	 * safe mode
+	 */
+	function generateKey(code, key, position) {
+		return safe ? code.check(checkKey, key, position) : key;
+	}
+
+	/*
+	 * Refuse calls to eval, Function, call/apply/bind (which could call them
+	 * indirectly), and non-whitelisted functions
+	 */
+	function checkFunction(fn, position) {
+		if (!safe) {
+			return fn;
+		}
+		if (fn === Function || fn === eval ||
+			typeof fn === 'function' && Object.getPrototypeOf(fn) === Function) {
+			throw new SecurityError('Calling the Function constructor or eval is forbidden', position);
+		}
+		if (_.contains(indirectFunctions, fn)) {
+			throw new SecurityError('Calling functions indirectly (via call, apply or bind) is forbidden', position);
+		}
+		/* A bound function hides its target, e.g. Function.bind(null) */
+		if (isBoundFunction(fn) && !(safe.functions && _.contains(safe.functions, fn))) {
+			throw new SecurityError('Calling a bound function which is not whitelisted is forbidden', position);
+		}
+		if (safe.functions && !_.contains(safe.functions, fn)) {
+			throw new SecurityError('Calling a function which is not whitelisted', position);
+		}
+		return fn;
+	}
+
+	/* Bound functions are named "bound <target name>" and have no prototype */
+	function isBoundFunction(fn) {
+		return typeof fn === 'function' && /^bound /.test(fn.name) && !_.has(fn, 'prototype');
+	}
+
+	/* Index of first top-level operator token with the given content, or -1 */
+	function findOperator(tokens, operator) {
+		return _.findIndex(tokens, function (token) {
+			return token.type === 'operator' && token.content === operator;
+		});
+	}
+
+	/* Split list of tokens at top-level operator tokens with given content */
+	function splitTokens(tokens, operator) {
+		return _.reduce(tokens, function (list, token) {
+			if (token.type === 'operator' && token.content === operator) {
+				list.push([]);
+			} else {
+				_.last(list).push(token);
+			}
+			return list;
+		}, [[]]);
+	}
+
 	function unescapeJsStr(str) {
 		var codes = {
 			'"': '"',
@@ -1,16 +1,72 @@
 const _ = require('lodash');
 const simpleParser = require('./simple');
+const ParseError = require('../util/errors').ParseError;
+const arithmetic = require('./arithmetic');
 const comprehensionLanguage = require('../languages/comprehension');
 
+/*
+ * Templates are parsed often (e.g. once per list parser), so compile once.
+ * Escaped characters in templates are literal text, and the positions of
+ * nodes are used to report problems in templates.
+ */
+const parseTemplate = simpleParser.compile(comprehensionLanguage, { unescape: true, positions: true });
+
 /**
  * @name comprehensionParser
  *
  * @param {string} comprehension
  * The comprehension to parse
  *
+ * @param {object} [opts]
+ * Compilation options
+ *
+ *  * namedGroups: compile each capture to native named capture groups, and
+ *    record the offsets of each match (via the "d" regex flag).  Captures
+ *    which appear several times in the template (e.g. in different choices)
+ *    get a named group per appearance, which are mapped back to the one
+ *    capture name.  Capture names need not be valid JavaScript identifiers.
+ *
+ *  * types: capture types (see {@link registerType}) for this parser, which
+ *    take precedence over registered types with the same name.
+ *
+ *  * caseSensitive: match text (keywords) case-sensitively.  By default,
+ *    "AS" matches "as" in the template.
+ *
+ *  * unicode: compile the regular expression in unicode mode (the "u" flag),
+ *    so that e.g. astral characters are matched as single characters.  Type
+ *    patterns must then be valid in unicode mode.
+ *
+ *  * whitespaceRule: how white-space in the template is matched:
+ *
+ *     * "required" (default): white-space in the template requires
+ *       white-space in the expression
+ *
+ *     * "optional": white-space in the template allows white-space in the
+ *       expression, e.g. "for ( k , v )" and "for(k,v)" are both accepted
+ *
+ *     * "punctuation": white-space is only optional where it is next to
+ *       punctuation in the template, e.g. after the comma in "({key}, {value})"
+ *       but not between "for" and the capture which follows it
+ *
+ *    White-space is always allowed (but never required) between other
+ *    adjacent template elements, and at the ends of the expression.
+ *
+ * @throws {ParseError}
+ * If the template is invalid (e.g. a group is not closed, or a capture has an
+ * unknown type), citing the location of the problem in the template
+ *
  * @return {function}
  * This function takes a comprehension expression and returns an object
- * containing the captured values.
+ * containing the captured values.  It also has a "match" method, which
+ * returns { captures, positions } where captures is the same object, and
+ * positions maps each captured name to the { start, end } offsets of the
+ * captured text in the expression (end is exclusive, and braces around
+ * bracketed captures are excluded).  Captures within repetitions are arrays
+ * of values (and of positions), with one element per repetition.  Positions
+ * are only available with the namedGroups option, otherwise positions is
+ * null.  Both return undefined if the expression does not match the
+ * template.  It also has an "unparse" method, which is the inverse of the
+ * parser (see {@link unparse}).
  *
  * @description
  * A function which generates a comprehension parser for any given
@@ -30,6 +86,11 @@ const comprehensionLanguage = require('../languages/comprehension');
  * parse many expressions is pretty quick as the actual string parsing is done
  * by native code (the RegExp engine).
  *
+ * Repetitions can't return a value per repetition from a single regular
+ * expression, so the regular expression captures the whole repeated span, and
+ * the span is then matched iteratively against a regular expression for the
+ * repeated subexpression.
+ *
  * @todo
  * Decouple this from the comprehensionLanguage, so that the regex compiler
  * and capture engine can operate on any language specification which
@@ -42,13 +103,432 @@ const comprehensionLanguage = require('../languages/comprehension');
 
 module.exports = comprehensionParserFactory;
 
+comprehensionParserFactory.unparse = unparse;
+comprehensionParserFactory.lint = lint;
+
 const defaultOpts = {
 	whitespace: '\\s',
-	capture: '(?:(?:{\\[)(.+?)(?:\\]})|\\b(?!{\\[)(\\S+))',
+	capture: capturePattern(null),
 	groupsPerCapture: 2,
-	flags: 'u'
+	caseSensitive: false,
+	unicode: false,
+	whitespaceRule: 'required',
+	namedGroups: false,
+	types: null
 };
 
+/*
+ * Regex for an untyped capture: brace-bracketed, or bare.  A bare capture
+ * runs up to white-space, or to the stop pattern if given (e.g. the separator
+ * of a repetition).
+ */
+function capturePattern(stop) {
+	const bare = stop === null ? '\\S+' : '(?:(?!' + stop + ')\\S)+';
+	return '(?:(?:\\{\\[)(.+?)(?:\\]\\})|\\b(?!\\{\\[)(' + bare + '))';
+}
+
+/* Capture types, see registerType */
+comprehensionParserFactory.types = {};
+comprehensionParserFactory.registerType = registerType;
+
+registerType('number', {
+	pattern: /[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/,
+	convert: Number
+});
+
+registerType('identifier', /[A-Za-z_$][\w$]*/);
+
+/* Any capture which the arithmetic parser accepts */
+registerType('expression', function (value) {
+	try {
+		arithmetic(value);
+		return true;
+	} catch (e) {
+		return false;
+	}
+});
+
+/**
+ * @name registerType
+ *
+ * @param {string} name
+ * The name of the type, as used in templates: `{capture-name:type-name}`
+ *
+ * @param {RegExp|function|object} type
+ * Either a regular expression which matches valid values, a validator
+ * function(value) which returns true for valid values, or an object with any
+ * of:
+ *
+ *  * pattern: regular expression (or its source) for valid values.  This
+ *    replaces the default capture pattern (bare or brace-bracketed), so
+ *    values of the type may not be brace-bracketed.  Capturing groups in the
+ *    pattern are converted to non-capturing groups.
+ *
+ *  * validate: function(value) which returns true for valid values.  An
+ *    expression whose capture is not valid does not match the template.
+ *
+ *  * convert: function(value) which converts the captured string to the
+ *    value returned by the parser.
+ *
+ * @description
+ * Registers a capture type globally, for use by comprehension templates
+ * compiled afterwards.  The built-in types are "number" (converted to a
+ * number), "identifier" and "expression" (validated by the arithmetic parser).
+ */
+function registerType(name, type) {
+	comprehensionParserFactory.types[name] = normalizeType(name, type);
+}
+
+/* Convert the shorthand forms of a capture type definition to an object */
+function normalizeType(name, type) {
+	if (type instanceof RegExp) {
+		type = { pattern: type };
+	} else if (typeof type === 'function') {
+		type = { validate: type };
+	} else if (!_.isObject(type)) {
+		throw new Error('Invalid definition for capture type "' + name + '"');
+	}
+	return {
+		pattern: type.pattern instanceof RegExp ? type.pattern.source : type.pattern || null,
+		validate: type.validate || null,
+		convert: type.convert || null
+	};
+}
+
+/**
+ * @name unparse
+ *
+ * @param {string} comprehension
+ * The comprehension template
+ *
+ * @param {object} captures
+ * The values of the captures, keyed by capture name.  Captures within
+ * repetitions are arrays, as returned by the parser.
+ *
+ * @param {object} [opts]
+ * Options, as for {@link comprehensionParser}
+ *
+ * @returns {string}
+ * A canonical comprehension expression which the template's parser parses to
+ * the given captures
+ *
+ * @description
+ * Renders a comprehension expression from a template and the captured values.
+ * The first choice whose required captures are all present (and valid for
+ * their types) is used, and an optional group is only rendered if it contains
+ * a capture which is present.  Captures containing white-space are bracketed
+ * as `{[ ... ]}`, and white-space is normalized to single spaces.
+ *
+ * Throws if the required captures are not all present.
+ *
+ * @example
+ *
+ *     unparse('{label} for [({key}, {value})|{value}] in {source}',
+ *         { label: 'v.name', value: 'v', source: 'list' })
+ *     // => 'v.name for v in list'
+ */
+function unparse(comprehension, captures, opts) {
+	return comprehensionParserFactory(comprehension, opts).unparse(captures);
+}
+
+/**
+ * @name lint
+ *
+ * @param {string} comprehension
+ * The comprehension template to check
+ *
+ * @returns {object[]}
+ * The problems found, in order of position, as { code, message, start, end }
+ * where start and end are offsets in the template (end is exclusive).  An
+ * empty array if no problems were found.
+ *
+ * @description
+ * Checks a comprehension template for mistakes which would otherwise only be
+ * found when parsing expressions (if at all).  The problem codes are:
+ *
+ *  * unbalanced: a bracket or brace without a partner.  If a group is not
+ *    closed, the template can't be compiled and no other checks are done.
+ *
+ *  * unreachable-choice: a choice which can never be matched, as an earlier
+ *    choice of the same group matches everything that it matches (e.g.
+ *    `[{a}|{b}]`).
+ *
+ *  * conflicting-capture: a capture name which is reused with a different
+ *    type or repetition, or which may be captured more than once by the same
+ *    expression (which would throw "Multiple matches found" when parsing).
+ *    A capture next to a repetition of the same capture, as in
+ *    `{col}[, {col}]*`, is merged into the repetition's values instead.
+ *
+ *  * partial-capture: a capture which is only bound by some choices of a
+ *    group, where another choice matches the start of its choice, so that an
+ *    expression may match either choice (e.g. `[{a} and {b}|{a}]`, where "x
+ *    and y" could bind "a" alone if the group is followed by more text).
+ *
+ *  * greedy-optional: an optional group or repetition of captures which is
+ *    followed by a capture, so that it may take the text intended for that
+ *    capture (e.g. `{a} [{b}] {c}`).
+ */
+function lint(comprehension) {
+	const issues = lintBrackets(comprehension);
+	let tree;
+	try {
+		tree = parseComprehensionSyntax(comprehension);
+	} catch (e) {
+		if (e instanceof ParseError) {
+			return issues;
+		}
+		throw e;
+	}
+
+	lintChoices(tree);
+	lintCaptures(tree);
+	lintPartialCaptures(tree);
+	lintOptionals(tree);
+
+	return _.sortBy(issues, 'start');
+
+	function report(code, message, start, end) {
+		issues.push({ code: code, message: message, start: start, end: end });
+	}
+
+	/* Unclosed groups and stray closing characters */
+	function lintBrackets(template) {
+		const found = [];
+		const stack = [];
+		for (let i = 0; i < template.length; i++) {
+			const c = template.charAt(i);
+			const inCapture = stack.length && _.last(stack).char === '{';
+			if (c === '\\') {
+				i++;
+			} else if (inCapture) {
+				/* Captures contain no groups */
+				if (c === '}') {
+					stack.pop();
+				}
+			} else if (c === '[' || c === '{') {
+				stack.push({ char: c, position: i });
+			} else if (c === ']' && stack.length) {
+				stack.pop();
+			} else if (c === ']' || c === '}') {
+				found.push(bracketIssue('Unmatched "' + c + '"', i));
+			}
+		}
+		return found.concat(stack.map(function (open) {
+			return bracketIssue('Unclosed "' + open.char + '"', open.position);
+		}));
+
+		function bracketIssue(message, position) {
+			return { code: 'unbalanced', message: message, start: position, end: position + 1 };
+		}
+	}
+
+	/* Choices which are subsumed by an earlier choice in the same group */
+	function lintChoices(nodes) {
+		const choices = splitChoices(nodes);
+		choices.forEach(function (choice, i) {
+			const subsumed = _.some(choices.slice(0, i), function (earlier) {
+				return subsumes(earlier.nodes, choice.nodes);
+			});
+			if (subsumed) {
+				const span = choice.nodes.length ? choice.nodes : [choice.separator];
+				report('unreachable-choice', 'Choice is unreachable, an earlier choice matches the same expressions',
+					_.first(span).start, _.last(span).end);
+			}
+		});
+		nodes.forEach(function (node) {
+			if (node.type === 'options' || node.type === 'repetition') {
+				lintChoices(node.value);
+			}
+		});
+	}
+
+	/* Reused capture names */
+	function lintCaptures(nodes) {
+		const occurrences = [];
+		/* Captures merged into an adjacent repetition, see mergedCaptures */
+		const merges = [];
+		let groups = 0;
+		collect(nodes, [], 0, null);
+		_.each(_.groupBy(occurrences, 'name'), function (uses, name) {
+			uses.forEach(function (use, i) {
+				const first = uses[0];
+				let message;
+				if (use.type !== first.type) {
+					message = 'Capture "' + name + '" is used with different types';
+				} else if (use.depth !== first.depth && !merged(use, first)) {
+					message = 'Capture "' + name + '" is used with different repetitions';
+				} else if (_.some(uses.slice(0, i), function (other) {
+					return !exclusive(use, other) && !merged(use, other);
+				})) {
+					message = 'Capture "' + name + '" may be captured more than once';
+				}
+				if (message) {
+					report('conflicting-capture', message, use.node.start, use.node.end);
+				}
+			});
+		});
+
+		/*
+		 * Record captures, with the choices which they are in and the
+		 * innermost repetition which they are in
+		 */
+		function collect(nodes, choices, depth, repetition) {
+			const split = splitChoices(nodes);
+			const group = ++groups;
+			split.forEach(function (choice, branch) {
+				const path = split.length > 1 ? choices.concat([{ group: group, branch: branch }]) : choices;
+				merges.push.apply(merges, mergedCaptures(choice.nodes));
+				choice.nodes.forEach(function (node) {
+					if (node.type === 'capture') {
+						occurrences.push({
+							name: node.value[0].value,
+							type: captureTypeSpec(node),
+							depth: depth,
+							choices: path,
+							repetition: repetition,
+							node: node
+						});
+					} else if (node.type === 'options') {
+						collect(node.value, path, depth, repetition);
+					} else if (node.type === 'repetition') {
+						collect(node.value, path, depth + 1, node);
+					}
+				});
+			});
+		}
+
+		/* Is one capture merged into the repetition which contains the other? */
+		function merged(a, b) {
+			return _.some(merges, function (merge) {
+				return merge.capture === a.node && merge.repetition === b.repetition && b.depth === a.depth + 1 ||
+					merge.capture === b.node && merge.repetition === a.repetition && a.depth === b.depth + 1;
+			});
+		}
+
+		/* Are two captures in different choices of the same group? */
+		function exclusive(a, b) {
+			return _.some(a.choices, function (x) {
+				return _.some(b.choices, function (y) {
+					return x.group === y.group && x.branch !== y.branch;
+				});
+			});
+		}
+	}
+
+	/*
+	 * Captures bound by only some choices of a group, where another choice
+	 * matches the start of theirs (so the expression may be read either way)
+	 */
+	function lintPartialCaptures(nodes) {
+		const choices = splitChoices(nodes);
+		choices.forEach(function (choice) {
+			const sequence = significant(choice.nodes);
+			const unbound = _(choices)
+				.filter(function (other) {
+					const prefix = significant(other.nodes);
+					return other !== choice && prefix.length && prefix.length < sequence.length &&
+						subsumes(prefix, sequence.slice(0, prefix.length));
+				})
+				.map(function (other) {
+					const names = captureNames(other.nodes);
+					return _.filter(sequence, function (node) {
+						return node.type === 'capture' && !_.contains(names, node.value[0].value);
+					});
+				})
+				.flatten()
+				.uniq()
+				.value();
+			unbound.forEach(function (node) {
+				report('partial-capture', 'Capture "' + node.value[0].value +
+					'" is only bound by some choices, another choice matches the start of this one',
+					node.start, node.end);
+			});
+		});
+		nodes.forEach(function (node) {
+			if (node.type === 'options' || node.type === 'repetition') {
+				lintPartialCaptures(node.value);
+			}
+		});
+	}
+
+	/* Optional groups of captures which are followed by a capture */
+	function lintOptionals(nodes) {
+		splitChoices(nodes).forEach(function (choice) {
+			const sequence = significant(choice.nodes);
+			sequence.forEach(function (node, i) {
+				const next = sequence[i + 1];
+				const optional = node.type === 'repetition' ||
+					node.type === 'options' && !_.findWhere(node.value, { type: 'choice' });
+				if (optional && next && next.type === 'capture' && onlyCaptures(node.value)) {
+					report('greedy-optional', (node.type === 'repetition' ? 'Repetition' : 'Optional group') +
+						' may capture the text of the following capture "' + next.value[0].value + '"',
+						node.start, node.end);
+				}
+			});
+		});
+		nodes.forEach(function (node) {
+			if (node.type === 'options' || node.type === 'repetition') {
+				lintOptionals(node.value);
+			}
+		});
+
+		function onlyCaptures(nodes) {
+			const sequence = significant(nodes);
+			return sequence.length > 0 && _.every(sequence, { type: 'capture' });
+		}
+	}
+
+	/* Does a sequence of nodes match everything another sequence matches? */
+	function subsumes(a, b) {
+		a = significant(a);
+		b = significant(b);
+		return a.length === b.length && _.every(a, function (node, i) {
+			const other = b[i];
+			if (node.type !== other.type) {
+				return false;
+			}
+			switch (node.type) {
+			case 'text':
+				return node.value.toLowerCase() === other.value.toLowerCase();
+			case 'capture':
+				/* An untyped capture matches anything a typed capture matches */
+				return captureTypeSpec(node) === null || captureTypeSpec(node) === captureTypeSpec(other);
+			case 'repetition':
+				return node.min <= other.min && node.separator === other.separator &&
+					subsumes(node.value, other.value);
+			case 'options':
+				return subsumes(node.value, other.value);
+			default:
+				return true;
+			}
+		});
+	}
+
+	/* Nodes other than white-space */
+	function significant(nodes) {
+		return _.reject(nodes, { type: 'whitespace' });
+	}
+}
+
+/* Split a subexpression into its choices, as { nodes, separator } */
+function splitChoices(nodes) {
+	const choices = [{ nodes: [], separator: null }];
+	nodes.forEach(function (node) {
+		if (node.type === 'choice') {
+			choices.push({ nodes: [], separator: node });
+		} else {
+			_.last(choices).nodes.push(node);
+		}
+	});
+	return choices;
+}
+
+/* The type of a capture node as written in the template, or null */
+function captureTypeSpec(node) {
+	const typed = node.value.length > 1 && node.value[1].type === 'captureType';
+	return typed ? _.pluck(node.value.slice(2), 'value').join('') : null;
+}
+
 /**
  * @name comprehensionParserFactory
  * @private
@@ -58,10 +538,21 @@ const defaultOpts = {
  */
 function comprehensionParserFactory(comprehension, opts) {
 	opts = _.defaults({}, opts, defaultOpts);
+	if (!_.contains(['required', 'optional', 'punctuation'], opts.whitespaceRule)) {
+		throw new Error('Invalid whitespace rule: ' + opts.whitespaceRule);
+	}
+	opts.types = _.assign({}, comprehensionParserFactory.types,
+		_.mapValues(opts.types, function (type, name) {
+			return normalizeType(name, type);
+		}));
 	const parseTree = parseComprehensionSyntax(comprehension);
-	const comprehensionParser = compileComprehensionParser(parseTree, opts);
+	const comprehensionParser = compileComprehensionParser(parseTree, opts, comprehension);
+	/* The compiler modifies its parse tree, so the unparser gets its own */
+	let unparseTree = null;
 
 	parseComprehension.parser = comprehensionParser;
+	parseComprehension.match = matchComprehension;
+	parseComprehension.unparse = unparseComprehension;
 
 	return parseComprehension;
 
@@ -76,44 +567,481 @@ function comprehensionParserFactory(comprehension, opts) {
 	 * Apply the comprehension regex and pack the results
 	 */
 	function parseComprehension(value) {
+		const result = matchComprehension(value);
+		return result && result.captures;
+	}
+
+	/**
+	 * @function matchComprehension
+	 * @private
+	 *
+	 * @param {string} value
+	 * The comprehension expression to parse
+	 *
+	 * @description
+	 * Apply the comprehension regex and pack the results and their positions
+	 */
+	function matchComprehension(value) {
 		const matches = value.match(comprehensionParser.regex);
 		if (!matches) {
 			return undefined;
 		}
-		const matchMaps = comprehensionParser.matchMaps;
+		return readCaptures(comprehensionParser, matches, 0);
+	}
 
-		return _.reduce(matchMaps, function (result, indices, name) {
-			result[name] = getCapture(name, indices);
-			return result;
-		}, {});
+	/**
+	 * @function unparseComprehension
+	 * @private
+	 *
+	 * @param {object} captures
+	 * The captured values
+	 *
+	 * @description
+	 * See {@link unparse}
+	 */
+	function unparseComprehension(captures) {
+		if (!unparseTree) {
+			unparseTree = parseComprehensionSyntax(comprehension);
+		}
+		return renderComprehension(unparseTree, captures || {}, opts);
+	}
+}
 
-		/* Get the value of a capture */
-		function getCapture(name, indices) {
-			const captured = indices.filter(function (index) {
-				return matches[index] !== undefined;
-			});
-			if (captured.length === 0) {
-				return undefined;
-			} else if (_.uniq(captured).length > 1) {
-				throw new Error('Multiple matches found for key "' + name + '": ' + captured.join(', '));
+/* Marks white-space in the unparser's output, which is collapsed */
+const space = {};
+
+/*
+ * Render a comprehension parse tree with the given captures, or throw if
+ * required captures are missing
+ */
+function renderComprehension(parseTree, captures, opts) {
+	const wordChar = opts.unicode ? new RegExp('[\\p{L}\\p{N}_$]', 'u') : /[\w$]/;
+	/* Required captures which were missing or invalid, for the error message */
+	const missing = [];
+	/* Depth of optional groups being rendered */
+	let optional = 0;
+	const result = renderNodes(parseTree, captures);
+
+	if (!result) {
+		throw new Error('Missing or invalid captures for comprehension: ' + _.uniq(missing).join(', '));
+	}
+
+	/*
+	 * Collapse white-space, trim, and separate words which would otherwise
+	 * run together
+	 */
+	const output = [];
+	result.pieces.forEach(function (piece) {
+		const prev = _.last(output);
+		if (piece === space) {
+			if (output.length && prev !== space) {
+				output.push(space);
+			}
+			return;
+		}
+		if (output.length && prev !== space &&
+			wordChar.test(prev.charAt(prev.length - 1)) && wordChar.test(piece.charAt(0))) {
+			output.push(space);
+		}
+		output.push(piece);
+	});
+	if (_.last(output) === space) {
+		output.pop();
+	}
+	return output.map(function (piece) {
+		return piece === space ? ' ' : piece;
+	}).join('');
+
+	/*
+	 * Render a subexpression: the first of its choices which renders.
+	 * Returns { pieces, count } where count is the number of captures which
+	 * were rendered, or null if no choice can be rendered.
+	 */
+	function renderNodes(nodes, values) {
+		const choices = [[]];
+		nodes.forEach(function (node) {
+			if (node.type === 'choice') {
+				choices.push([]);
 			} else {
-				return '' + matches[captured[0]];
+				_.last(choices).push(node);
+			}
+		});
+		return _.reduce(choices, function (rendered, choice) {
+			return rendered || renderChoice(choice, values);
+		}, null);
+	}
+
+	/* Render a sequence of nodes, or return null if any can't be rendered */
+	function renderChoice(nodes, values) {
+		const result = { pieces: [], count: 0 };
+		const nodeValues = splitMerged(nodes, values);
+		const valid = nodes.every(function (node, i) {
+			const rendered = renderNode(node, nodeValues[i]);
+			if (rendered) {
+				result.pieces = result.pieces.concat(rendered.pieces);
+				result.count += rendered.count;
 			}
+			return !!rendered;
+		});
+		return valid ? result : null;
+	}
+
+	/*
+	 * A capture which is merged into an adjacent repetition's values (e.g.
+	 * "{col}[, {col}]*") takes its value from the start (or end) of the array,
+	 * and the repetition takes the rest.  Returns the values for each node.
+	 */
+	function splitMerged(nodes, values) {
+		const result = nodes.map(function () { return values; });
+		mergedCaptures(nodes).forEach(function (merge) {
+			const name = merge.capture.value[0].value;
+			const list = values[name];
+			if (!_.isArray(list)) {
+				return;
+			}
+			const i = nodes.indexOf(merge.capture);
+			const j = nodes.indexOf(merge.repetition);
+			result[i] = _.assign({}, result[i], _.zipObject([name], [merge.before ? _.first(list) : _.last(list)]));
+			result[j] = _.assign({}, result[j], _.zipObject([name], [merge.before ? _.rest(list) : _.initial(list)]));
+		});
+		return result;
+	}
+
+	function renderNode(node, values) {
+		switch (node.type) {
+		case 'text':
+			return { pieces: [node.value], count: 0 };
+		case 'whitespace':
+			return { pieces: [space], count: 0 };
+		case 'capture':
+			return renderCapture(node.value, values);
+		case 'options':
+			return renderOptions(node.value, values);
+		case 'repetition':
+			return renderRepetition(node, values);
+		default:
+			return { pieces: [], count: 0 };
+		}
+	}
+
+	/*
+	 * Choice groups render their first valid choice, optional groups are
+	 * omitted unless they render a capture
+	 */
+	function renderOptions(subexpr, values) {
+		if (_.findWhere(subexpr, { type: 'choice' })) {
+			return renderNodes(subexpr, values);
+		}
+		optional++;
+		const rendered = renderNodes(subexpr, values);
+		optional--;
+		return rendered && rendered.count ? rendered : { pieces: [], count: 0 };
+	}
+
+	/* Render each repetition, with the separator (if any) between them */
+	function renderRepetition(node, values) {
+		const names = captureNames(node.value);
+		const length = _.max([0].concat(names.map(function (name) {
+			return _.isArray(values[name]) ? values[name].length : 0;
+		})));
+		if (length < node.min) {
+			return fail(names);
+		}
+		const result = { pieces: [], count: 0 };
+		for (let i = 0; i < length; i++) {
+			const item = renderNodes(node.value, _.assign({}, values, _.zipObject(names, names.map(function (name) {
+				return _.isArray(values[name]) ? values[name][i] : undefined;
+			}))));
+			if (!item) {
+				return null;
+			}
+			if (i > 0 && node.separator !== null) {
+				result.pieces.push(node.separator, space);
+			}
+			result.pieces = result.pieces.concat(item.pieces);
+			result.count += item.count;
+		}
+		return result;
+	}
+
+	/* Render a capture, bracketed if it contains white-space */
+	function renderCapture(subexpr, values) {
+		const name = subexpr[0].value;
+		const typed = subexpr.length > 1 && subexpr[1].type === 'captureType';
+		const value = values[name];
+		let rendered = value === undefined || value === null ? '' : String(value).trim();
+		if (typed && rendered) {
+			rendered = formatTyped(_.pluck(subexpr.slice(2), 'value').join(''), rendered);
+		}
+		if (!rendered) {
+			return fail([name]);
+		}
+		if (/\s/.test(rendered)) {
+			rendered = '{[ ' + rendered + ' ]}';
+		}
+		return { pieces: [rendered], count: 1 };
+	}
+
+	/* Record captures which prevented rendering, unless they were optional */
+	function fail(names) {
+		if (!optional) {
+			missing.push.apply(missing, names);
+		}
+		return null;
+	}
+
+	/*
+	 * Validate a typed capture's value, and convert literal alternatives to
+	 * their spelling in the template.  Returns '' if the value is invalid.
+	 */
+	function formatTyped(spec, value) {
+		const type = opts.types[spec];
+		if (!type) {
+			const alternative = _.find(spec.split('|'), function (alternative) {
+				return opts.caseSensitive ? alternative === value :
+					alternative.toLowerCase() === value.toLowerCase();
+			});
+			return alternative || '';
 		}
+		if (type.pattern && !new RegExp('^(?:' + type.pattern + ')$',
+			(opts.caseSensitive ? '' : 'i') + (opts.unicode ? 'u' : '')).test(value)) {
+			return '';
+		}
+		if (type.validate && !type.validate(value)) {
+			return '';
+		}
+		return value;
 	}
 }
 
-/* Converts a comprehension spec to a parse tree */
+/*
+ * Captures which are merged into the values of an adjacent repetition of the
+ * same capture, e.g. "{col}[, {col}]*", as { capture, repetition, before }
+ * where before is true if the capture precedes the repetition
+ */
+function mergedCaptures(nodes) {
+	const sequence = _.reject(nodes, { type: 'whitespace' });
+	const merges = [];
+	sequence.forEach(function (node, i) {
+		if (node.type !== 'repetition') {
+			return;
+		}
+		const names = captureNames(node.value);
+		[{ capture: sequence[i - 1], before: true }, { capture: sequence[i + 1], before: false }]
+			.forEach(function (merge) {
+				if (merge.capture && merge.capture.type === 'capture' &&
+					_.contains(names, merge.capture.value[0].value)) {
+					merges.push({ capture: merge.capture, repetition: node, before: merge.before });
+				}
+			});
+	});
+	return merges;
+}
+
+/* Names of the captures in a subexpression (including nested repetitions) */
+function captureNames(nodes) {
+	return _.uniq(_.flatten(nodes.map(function (node) {
+		if (node.type === 'capture') {
+			return [node.value[0].value];
+		}
+		return _.isArray(node.value) ? captureNames(node.value) : [];
+	})));
+}
+
+/*
+ * Pack the captures of a successful match of a compiled parser (or of the
+ * subexpression of a repetition), or undefined if a typed capture is invalid.
+ * The offset is added to positions.
+ */
+function readCaptures(parser, matches, offset) {
+	const named = parser.named;
+	const positions = matches.indices ? {} : null;
+	let valid = true;
+
+	const captures = _.reduce(parser.matchMaps, function (result, refs, name) {
+		result[name] = getCapture(name, refs);
+		return result;
+	}, {});
+
+	parser.repetitions.forEach(function (repetition) {
+		const span = group(repetition.ref);
+		const items = span === undefined ? [] :
+			matchRepetition(repetition, span, positions ? offset + indices(repetition.ref)[0] : 0);
+		if (!items) {
+			valid = false;
+			return;
+		}
+		repetition.names.forEach(function (name) {
+			captures[name] = merge(name, captures, _.pluck(_.pluck(items, 'captures'), name));
+			if (positions) {
+				positions[name] = merge(name, positions, _.pluck(_.pluck(items, 'positions'), name));
+			}
+		});
+
+		/* Merge a capture outside the repetition into its values */
+		function merge(name, outside, values) {
+			const order = repetition.merge[name];
+			if (!order || outside[name] === undefined) {
+				return values;
+			}
+			return order === 'before' ? [outside[name]].concat(values) : values.concat([outside[name]]);
+		}
+	});
+
+	if (!valid) {
+		return undefined;
+	}
+
+	return {
+		captures: captures,
+		positions: positions
+	};
+
+	/* Get a group's match, by index or (in named mode) by name */
+	function group(ref) {
+		return named ? matches.groups[ref] : matches[ref];
+	}
+
+	/* Get a group's offsets (requires the "d" flag) */
+	function indices(ref) {
+		return named ? matches.indices.groups[ref] : matches.indices[ref];
+	}
+
+	/* Get the value of a capture */
+	function getCapture(name, refs) {
+		const captured = refs.filter(function (ref) {
+			return group(ref) !== undefined;
+		});
+		if (captured.length === 0) {
+			return undefined;
+		} else if (_.uniq(captured).length > 1) {
+			throw new Error('Multiple matches found for key "' + name + '": ' + captured.join(', '));
+		} else {
+			if (positions) {
+				positions[name] = {
+					start: offset + indices(captured[0])[0],
+					end: offset + indices(captured[0])[1]
+				};
+			}
+			return convert(parser.captureTypes[captured[0]], '' + group(captured[0]));
+		}
+	}
+
+	/* Validate and convert a typed capture */
+	function convert(type, value) {
+		if (!type) {
+			return value;
+		}
+		if (type.validate && !type.validate(value)) {
+			valid = false;
+		}
+		return type.convert ? type.convert(value) : value;
+	}
+}
+
+/*
+ * Match the span which a repetition matched iteratively, against the
+ * repeated subexpression and the separator.  Returns an array of the captures
+ * of each repetition, or null on failure.  The offset of the span is added to
+ * positions.
+ */
+function matchRepetition(repetition, span, offset) {
+	const body = repetition.body;
+	const items = [];
+	let pos = 0;
+	for (;;) {
+		body.regex.lastIndex = pos;
+		const matches = body.regex.exec(span);
+		if (!matches) {
+			return null;
+		}
+		const item = readCaptures(body, matches, offset);
+		if (!item) {
+			return null;
+		}
+		items.push(item);
+		pos += matches[0].length;
+		if (pos >= span.length) {
+			return items;
+		}
+		repetition.separator.lastIndex = pos;
+		const separator = repetition.separator.exec(span);
+		/* Fail rather than loop forever if nothing is consumed */
+		if (!separator || !matches[0].length && !separator[0].length) {
+			return null;
+		}
+		pos += separator[0].length;
+	}
+}
+
+/*
+ * Converts a comprehension spec to a parse tree, with the location of each
+ * node in the spec (see {@link simpleParser})
+ */
 function parseComprehensionSyntax(sentence) {
-	return simpleParser(sentence, comprehensionLanguage);
+	return mapRepetitions(parseTemplate(sentence));
+}
+
+/* Copy the location of the node(s) spanning first..last to a node */
+function position(node, first, last) {
+	return _.assign(node, _.pick(first, 'start', 'line', 'column'), { end: last.end });
+}
+
+/*
+ * Replace optional groups followed by a repetition operator (and optionally
+ * a separator in parentheses) with repetition nodes.  Operators which do not
+ * follow an optional group are literal text.
+ */
+function mapRepetitions(nodes) {
+	const result = [];
+	nodes.forEach(function (node) {
+		const prev = _.last(result);
+		if (node.type === 'repeatAny' || node.type === 'repeatSome') {
+			if (prev && prev.type === 'options') {
+				result[result.length - 1] = position({
+					type: 'repetition',
+					value: prev.value,
+					min: node.type === 'repeatSome' ? 1 : 0,
+					separator: null
+				}, prev, node);
+				return;
+			}
+			node = position({ type: 'text', value: node.type === 'repeatSome' ? '+' : '*' }, node, node);
+		} else if (node.type === 'options') {
+			node = position({ type: 'options', value: mapRepetitions(node.value) }, node, node);
+		}
+		if (node.type === 'text' && prev && prev.type === 'repetition' && prev.separator === null) {
+			const separator = node.value.match(/^\(([^)]+)\)/);
+			if (separator) {
+				const length = separator[0].length;
+				prev.separator = separator[1];
+				prev.end += length;
+				node = position({ type: 'text', value: node.value.substr(length) }, node, node);
+				node.start += length;
+				node.column += length;
+				if (!node.value) {
+					return;
+				}
+			}
+		}
+		if (node.type === 'text' && prev && prev.type === 'text') {
+			prev.value += node.value;
+			prev.end = node.end;
+			return;
+		}
+		result.push(node);
+	});
+	return result;
 }
 
 /*
  * Generates a parser regex and a capture-index mapping from a
- * comprehension parse tree
+ * comprehension parse tree.  The template which the tree was parsed from is
+ * cited by errors, using the positions of the nodes.
  */
-function compileComprehensionParser(parseTree, opts) {
+function compileComprehensionParser(parseTree, opts, template) {
 	opts = _.defaults({}, opts, defaultOpts);
+	markMerges(parseTree);
 	optimizeWhitespace(parseTree);
 	/*
 	 * If you want to see what optimizeWhitespace does, use the
@@ -127,17 +1055,54 @@ function compileComprehensionParser(parseTree, opts) {
 		whitespace: whitespace,
 		capture: capture,
 		options: options,
+		repetition: repetition,
 		choice: choice
 	};
 	let captureIndex = 0;
 	const matchMaps = {};
+	/* Type of each capture group (by index or name) which has a type */
+	const captureTypes = {};
+	/* Repetitions, which are matched iteratively after the regex */
+	const repetitions = [];
+	/* Characters which are not punctuation, for the "punctuation" rule */
+	const wordChar = opts.unicode ? new RegExp('[\\p{L}\\p{N}_$]', 'u') : /[\w$]/;
+	/* Subexpression of a repetition: no anchors, matched at a given index */
+	if (opts.fragment) {
+		return {
+			regex: new RegExp(reduceWhitespace(group(root)), flags(opts.indices ? 'yd' : 'y')),
+			matchMaps: matchMaps,
+			captureTypes: captureTypes,
+			repetitions: repetitions,
+			named: false
+		};
+	}
 	/* Match entire string but allow whitespace at the ends */
 	const rx = reduceWhitespace('^' + opts.whitespace + '*' + group(root) + opts.whitespace + '*$');
 	return {
-		regex: new RegExp(rx, 'i'),
-		matchMaps: matchMaps
+		regex: new RegExp(rx, flags(opts.namedGroups ? 'd' : '')),
+		matchMaps: matchMaps,
+		captureTypes: captureTypes,
+		repetitions: repetitions,
+		named: opts.namedGroups
 	};
 
+	/*
+	 * Record on each repetition the captures which are merged into its values
+	 * (see mergedCaptures), before optimizeWhitespace rearranges the tree.
+	 * Repetitions mark their own subexpressions when they are compiled.
+	 */
+	function markMerges(nodes) {
+		mergedCaptures(nodes).forEach(function (merge) {
+			merge.repetition.merge = _.assign({}, merge.repetition.merge,
+				_.zipObject([merge.capture.value[0].value], [merge.before ? 'before' : 'after']));
+		});
+		nodes.forEach(function (node) {
+			if (node.type === 'options') {
+				markMerges(node.value);
+			}
+		});
+	}
+
 	/*
 	 * This function makes whitespace behave more as the service's user
 	 * would expect it to (i.e. whitespace cannot be omitted).  If for
@@ -150,6 +1115,7 @@ function compileComprehensionParser(parseTree, opts) {
 			return nodes;
 		}
 
+		wrapRepetitions(nodes);
 		labelNodes(nodes);
 		consolidateWhitespace(nodes);
 		addWhitespaceOption(nodes);
@@ -169,6 +1135,20 @@ function compileComprehensionParser(parseTree, opts) {
 
 		return nodes;
 
+		/*
+		 * A repetition which may be empty is an optional group around a
+		 * repetition which may not, so that it engulfs adjacent whitespace
+		 * in the same way as an optional group (e.g. "select [{col}]* from"
+		 * matches "select from")
+		 */
+		function wrapRepetitions(nodes) {
+			nodes.forEach(function (node, i) {
+				if (node.type === 'repetition' && !node.min) {
+					nodes[i] = { type: 'options', value: [_.assign({}, node, { min: 1 })] };
+				}
+			});
+		}
+
 		/* Makes life easier for the other stages */
 		function labelNodes(nodes) {
 			nodes.forEach(function (node) {
@@ -249,14 +1229,24 @@ function compileComprehensionParser(parseTree, opts) {
 			.replace(new RegExp('(' + opts.whitespace + '[\\+\\*]){2,}', 'g'), opts.whitespace + '+');
 	}
 
+	/* Regex flags, from the options and the given extra flags */
+	function flags(extra) {
+		return (opts.caseSensitive ? '' : 'i') + (opts.unicode ? 'u' : '') + extra;
+	}
+
 	/* Compile a node */
 	function compile(node) {
-		return compiler[node.type](node.value);
+		return compiler[node.type](node.value, node);
 	}
 
 	/* Output non-capturing group */
 	function group(subexpr) {
-		return '(?:' + subexpr.map(compile).join(opts.whitespace + '*') + ')';
+		return '(?:' + subexpr.map(function (node, i) {
+			if (node.type === 'whitespace') {
+				return whitespace(null, subexpr[i - 1], subexpr[i + 1]);
+			}
+			return compile(node);
+		}).join(opts.whitespace + '*') + ')';
 	}
 
 	/* Output optional group or choice group */
@@ -271,6 +1261,49 @@ function compileComprehensionParser(parseTree, opts) {
 		return group(subexpr) + (isChoice ? '' : '?');
 	}
 
+	/*
+	 * Output repetition: a group which captures the whole repeated span, for
+	 * matchRepetition to match iteratively.  The subexpression is compiled
+	 * separately, and its capture groups are made non-capturing here.
+	 */
+	function repetition(subexpr, node) {
+		/* Bare captures in the repetition stop at its separator */
+		const body = compileComprehensionParser(subexpr, _.assign({}, opts, {
+			fragment: true,
+			namedGroups: false,
+			indices: opts.namedGroups || opts.indices,
+			capture: node.separator === null ? opts.capture : capturePattern(text(node.separator))
+		}), template);
+		const inner = '(?:' + uncapture(body.regex.source) + ')';
+		const separator = opts.whitespace + '*' +
+			(node.separator === null ? '' : text(node.separator) + opts.whitespace + '*');
+		let ref;
+		let rx;
+		if (opts.namedGroups) {
+			ref = 'c' + (++captureIndex);
+			rx = '(?<' + ref + '>';
+		} else {
+			ref = ++captureIndex;
+			rx = '(';
+		}
+		const tail = '(?:' + separator + inner + ')*';
+		rx += inner + tail + ')' + (node.min ? '' : '?');
+		repetitions.push({
+			ref: ref,
+			merge: node.merge || {},
+			names: _.keys(body.matchMaps).concat(_(body.repetitions).pluck('names').flatten().value()),
+			/*
+			 * Each repetition must leave a valid remainder of the span, so
+			 * that captures split the span as they did in the full regex
+			 */
+			body: _.assign({}, body, {
+				regex: new RegExp(body.regex.source + '(?=' + tail + '$)', body.regex.flags)
+			}),
+			separator: new RegExp(separator, flags('y'))
+		});
+		return rx;
+	}
+
 	/* Separate choices */
 	function choice() {
 		/*
@@ -282,29 +1315,126 @@ function compileComprehensionParser(parseTree, opts) {
 	}
 
 	/* Output capture group */
-	function capture(subexpr) {
+	function capture(subexpr, node) {
 		const name = subexpr[0].value;
 		if (!_.has(matchMaps, name)) {
 			matchMaps[name] = [];
 		}
-		/*
-		 * We create two capture groups in the regex:
-		 *   Bare identifier: \b(?!{\[)(\S+)
-		 *   Braced identifier: (?:{\[)(.+?)(?:\]})
-		 */
-		for (let i = 0; i < opts.groupsPerCapture; i++) {
+		const typed = subexpr.length > 1 && subexpr[1].type === 'captureType';
+		const type = typed ? captureType(name, _.pluck(subexpr.slice(2), 'value').join(''), node) : null;
+		const first = captureIndex + 1;
+		const rx = type && type.pattern ? typedCapture(type.pattern) : defaultCapture();
+		/* Record the type of each group that was created */
+		if (type) {
+			matchMaps[name].forEach(function (ref) {
+				if (typeof ref === 'string' ? +ref.substr(1) >= first : ref >= first) {
+					captureTypes[ref] = type;
+				}
+			});
+		}
+		return rx;
+
+		function defaultCapture() {
+			/*
+			 * We create two capture groups in the regex:
+			 *   Bare identifier: \b(?!{\[)(\S+)
+			 *   Braced identifier: (?:{\[)(.+?)(?:\]})
+			 */
+			if (opts.namedGroups) {
+				return nameGroups(opts.capture, name);
+			}
+			for (let i = 0; i < opts.groupsPerCapture; i++) {
+				matchMaps[name].push(++captureIndex);
+			}
+			return opts.capture;
+		}
+
+		/* A single capture group for the type's pattern */
+		function typedCapture(pattern) {
+			const rx = '(' + uncapture(pattern) + ')';
+			if (opts.namedGroups) {
+				return nameGroups(rx, name);
+			}
 			matchMaps[name].push(++captureIndex);
+			return rx;
+		}
+	}
+
+	/*
+	 * Resolve the type of a typed capture: a registered type, or a list of
+	 * literal alternatives (which are converted to the alternative as written
+	 * in the template, since matching is case-insensitive)
+	 */
+	function captureType(name, spec, node) {
+		if (_.has(opts.types, spec)) {
+			return opts.types[spec];
 		}
-		return opts.capture;
+		const alternatives = spec.split('|');
+		if (alternatives.length < 2 || _.contains(alternatives, '')) {
+			throw new ParseError('Unknown type "' + spec + '" for capture "' + name + '"', {
+				expression: template,
+				position: node.start,
+				length: node.end - node.start
+			});
+		}
+		return {
+			pattern: '(?:' + alternatives.map(text).join('|') + ')(?![\\w$])',
+			validate: null,
+			convert: function (value) {
+				return _.find(alternatives, function (alternative) {
+					return alternative.toLowerCase() === value.toLowerCase();
+				});
+			}
+		};
+	}
+
+	/* Convert capturing groups in a regex to non-capturing groups */
+	function uncapture(rx) {
+		return rx.replace(/\\.|\((?!\?)/g, function (token) {
+			return token === '(' ? '(?:' : token;
+		});
+	}
+
+	/*
+	 * Give each capturing group in a capture's regex a unique name, since
+	 * capture names may not be valid group names and may appear more than
+	 * once in the template
+	 */
+	function nameGroups(rx, name) {
+		return rx.replace(/\\.|\((?!\?)/g, function (token) {
+			if (token !== '(') {
+				return token;
+			}
+			const groupName = 'c' + (++captureIndex);
+			matchMaps[name].push(groupName);
+			return '(?<' + groupName + '>';
+		});
 	}
 
 	/* Output text */
 	function text(val) {
-		return val.replace(/[\^\$\.\+\*\?\[\]\(\)\|]/g, '\\$&');
+		return val.replace(/[\^\$\.\+\*\?\[\]\(\)\{\}\|\\]/g, '\\$&');
 	}
 
-	/* Output whitespace */
-	function whitespace() {
+	/*
+	 * Output whitespace, according to the whitespace rule and the adjacent
+	 * nodes (if known)
+	 */
+	function whitespace(value, prev, next) {
+		if (opts.whitespaceRule === 'optional' ||
+			opts.whitespaceRule === 'punctuation' &&
+			(isPunctuation(prev, true) || isPunctuation(next, false))) {
+			return opts.whitespace + '*';
+		}
 		return opts.whitespace + '+';
 	}
+
+	/* Does a text node end (or start) with punctuation? */
+	function isPunctuation(node, atEnd) {
+		if (!node || node.type !== 'text' || !node.value) {
+			return false;
+		}
+		const c = atEnd ? node.value.charAt(node.value.length - 1) : node.value.charAt(0);
+		return !wordChar.test(c);
+	}
 }
@@ -3,7 +3,16 @@ var listLanguage = require('../languages/list');
 var comprehensionParser = require('./comprehension');
 var arithmetic = require('./arithmetic');
 
-module.exports = listParser();
+/*
+ * The module is a list parser with the default configuration, so that callers
+ * which use it directly keep working.  Use its "create" method to configure a
+ * list parser.
+ */
+module.exports = createListParser();
+
+/* Names of the captures which the list parser uses */
+var roleNames = ['select', 'label', 'group', 'key', 'value', 'source', 'where',
+	'order', 'direction', 'limit', 'offset', 'memo'];
 
 /**
  * @name listParser
@@ -11,28 +20,73 @@ module.exports = listParser();
  * @param {string} expr
  * A list comprehension expression
  *
- * @param {scope} scope
- * The scope to evaluate the expression in
+ * @param {scope} [scope]
+ * The scope to evaluate the expression in.  If omitted, a synchronous
+ * function(scope, locals) which returns the mapped items is returned instead
+ * of a binding.
+ *
+ * @param {function} [onchange]
+ * function (items, grouped, diff) called each time the data is refreshed
+ *
+ *   * items: array of mapped items (see below)
  *
- * @param {function} onchange
- * function (items, grouped) called when the data changes
+ *   * grouped: array of { group, items } (see {@link groupItems})
+ *
+ *   * diff: changes since the previous refresh, compared by the "track by"
+ *     memo: { added: [item], removed: [item], moved: [{ item, from, to }] }
+ *     where from/to are the item's index in the previous/new items array.  The
+ *     moved items are the fewest which account for the change in order of the
+ *     retained items, e.g. rotating the list by one moves just one item.
  *
  * @returns {object}
  *
  *   * refresh: function, call to refresh the items array.  Returns a
- *     promise which is resolved when the items array has been
- *     refreshed, and oninvalidate has been called.
+ *     promise which is resolved with the items when the items array has been
+ *     refreshed, and onchange has been called.
  *
  *   * requery: if the last refresh/requery received a function<promise> from
  *     the underlying data source, call refresh to re-execute that function
  *     (presumably returning a new promise).  Otherwise, just return the
  *     previous result.
  *
+ * @param {object} [options]
+ *
+ *  * groupOrder: order of the groups passed to onchange, see
+ *    {@link groupItems}
+ *
+ * Each item is { index, select, label, memo, group, key, value }.
+ *
+ * The synchronous getter also has a grouped(scope, locals, groupOrder)
+ * method, which returns the items grouped as for onchange, e.g. for rendering
+ * `label group by category for item in items` with <optgroup> elements.
+ *
+ * Reverse mapping, from a model value back to the source item:
+ *
+ *   * lookupBySelect(scope, value, locals): the first item whose select value
+ *     is the given value, or undefined
+ *
+ *   * lookupByMemo(scope, memo, locals): the first item whose "track by" memo
+ *     is the given memo, or undefined
+ *
+ *   * setModel(scope, item, value, locals): assigns a value to the item's
+ *     select expression (e.g. `item.selected as item.name for item in items`),
+ *     using the setter of the arithmetic evaluator.  The select expression
+ *     must be assignable, e.g. a member of the item.
+ *
+ * These are methods of the synchronous getter, and of the binding (without the
+ * scope/locals parameters, using the items from the last refresh).  Lookups
+ * use an index (by memo and by select value) which the getter rebuilds when
+ * the data source, scope or locals objects change, so data which is modified
+ * in place should be replaced with a new array to be re-indexed.
+ *
  * @description
  * This service takes a {@link listLanguage|List Comprehension Expression}
  * as a parameter and returns a methods for interrogating the data source.
  * Data is automatically mapped as specified by the list comprehension
- * expression.  The data source can be a promise.
+ * expression.  The data source can be a promise, or a function which returns
+ * the data or a promise (called with no arguments).  If a refresh is
+ * superseded by another before its data arrives, its data is discarded and its
+ * promise resolves with the result of the later refresh.
  *
  * @example
  * See {@comprehensionParserTest}
@@ -46,26 +100,78 @@ module.exports = listParser();
  *         ...
  *     }
  */
-function listParser() {
-	var compParser = comprehensionParser(listLanguage);
+
+/**
+ * @name createListParser
+ *
+ * @param {object} [config]
+ *
+ *  * defaults: default expressions for a bare "{source}" expression, as
+ *    { value, label, select, memo }.  The value is the name of the item
+ *    variable which the other expressions use.  Defaults to { value: 'item',
+ *    label: 'item.title', select: 'item.value' }, and the memo defaults to
+ *    the select expression.
+ *
+ *  * template: comprehension template (see {@link comprehensionLanguage}) to
+ *    use instead of the {@link listLanguage}.
+ *
+ *  * roles: object mapping capture names in the template to the roles used
+ *    by the list parser (select, label, group, key, value, source, where,
+ *    order, direction, limit, offset, memo).  Captures which are already
+ *    named after a role need not be mapped.
+ *
+ * @returns {function}
+ * A new {@link listParser}
+ *
+ * @description
+ * Constructs a list parser with custom defaults and/or template.  This is the
+ * way to configure a list parser, and is available as the "create" method of
+ * every list parser.  The module itself is the list parser created with no
+ * config, kept for backward compatibility: listParser(expr, ...) is
+ * equivalent to listParser.create()(expr, ...).
+ *
+ * @example
+ *
+ *     var parser = listParser.create({
+ *         defaults: { value: 'row', label: 'row.name', select: 'row.id' }
+ *     });
+ *
+ *     var tableParser = listParser.create({
+ *         template: '{label} from {rows} [keyed by {id}]',
+ *         roles: { rows: 'source', id: 'memo' }
+ *     });
+ */
+function createListParser(config) {
+	config = _.assign({ template: listLanguage, roles: {} }, config);
+	var defaults = _.assign({
+		value: 'item',
+		label: 'item.title',
+		select: 'item.value',
+		memo: undefined
+	}, config.defaults);
+	_.each(config.roles, function (role, name) {
+		if (!_.contains(roleNames, role)) {
+			throw new Error('Unknown role "' + role + '" for capture "' + name + '"');
+		}
+	});
+	var compParser = comprehensionParser(config.template);
 
 	/* Expose extra functions */
+	listParserFactory.create = createListParser;
 	listParserFactory.test = {
 		compile: function () {
 			/* Compile from scratch each time for benchmarking */
-			return comprehensionParser(listLanguage);
-		},
-		parse: function (expr) {
-			return compParser(expr);
+			return comprehensionParser(config.template);
 		},
+		parse: parse,
 		fillDefaults: testFillDefaults
 	};
 
 	/* See {@link listParser|list comprehension service} */
 	return listParserFactory;
 
-	function listParserFactory(expr) {
-		var comp = compParser(expr);
+	function listParserFactory(expr, scope, onchange, options) {
+		var comp = parse(expr);
 
 		if (!comp) {
 			throw new Error('Comprehension is invalid: ' + expr);
@@ -87,6 +193,26 @@ function listParser() {
 			memo: getField(comp.memo),
 		};
 
+		/* Optional where / order by / limit clauses */
+		var clauses = {
+			where: comp.where !== undefined ? getField(comp.where) : null,
+			order: getOrder(comp.order, comp.direction),
+			limit: comp.limit !== undefined ? arithmetic(comp.limit) : null,
+			offset: comp.offset !== undefined ? arithmetic(comp.offset) : null
+		};
+
+		/* Index of the last items mapped by the getter, for lookups */
+		var cache = { data: null, scope: null, locals: null, index: null };
+
+		if (arguments.length > 1) {
+			return createBinding(scope, onchange, _.assign({ groupOrder: null }, options));
+		}
+
+		getItems.grouped = getGroups;
+		getItems.lookupBySelect = lookupBySelect;
+		getItems.lookupByMemo = lookupByMemo;
+		getItems.setModel = setModel;
+
 		return getItems;
 
 		/**
@@ -96,19 +222,232 @@ function listParser() {
 		 * @param {scope} scope
 		 * The scope to evaluate the expression in
 		 *
-		 * @returns {promise}
+		 * @returns {array}
 		 * Array of items from the data source, mapped as specified by the
 		 * comprehension expression.
 		 */
 		function getItems(scope, locals) {
+			return mapItems(sourceGetter(scope, locals), scope, locals);
+		}
+
+		/**
+		 * @function getGroups
+		 * @private
+		 *
+		 * @param {scope} scope
+		 * The scope to evaluate the expression in
+		 *
+		 * @param {array|function} [groupOrder]
+		 * See {@link groupItems}
+		 *
+		 * @returns {array}
+		 * Array of { group, items }, see {@link groupItems}
+		 */
+		function getGroups(scope, locals, groupOrder) {
+			return groupItems(getItems(scope, locals), groupOrder);
+		}
+
+		/**
+		 * @function lookupBySelect
+		 * @private
+		 *
+		 * @param {scope} scope
+		 * The scope to evaluate the expression in
+		 *
+		 * @param {any} value
+		 * The select value to find
+		 *
+		 * @returns {object}
+		 * The mapped item with the given select value, or undefined
+		 */
+		function lookupBySelect(scope, value, locals) {
+			return getIndex(scope, locals).select.get(value);
+		}
+
+		/**
+		 * @function lookupByMemo
+		 * @private
+		 *
+		 * @param {scope} scope
+		 * The scope to evaluate the expression in
+		 *
+		 * @param {any} memo
+		 * The "track by" memo to find
+		 *
+		 * @returns {object}
+		 * The mapped item with the given memo, or undefined
+		 */
+		function lookupByMemo(scope, memo, locals) {
+			return getIndex(scope, locals).memo.get(memo);
+		}
+
+		/**
+		 * @function setModel
+		 * @private
+		 *
+		 * @param {scope} scope
+		 * The scope to evaluate the expression in
+		 *
+		 * @param {object} item
+		 * The mapped item (e.g. from a lookup)
+		 *
+		 * @param {any} value
+		 * The value to assign to the item's select expression
+		 */
+		function setModel(scope, item, value, locals) {
+			params.select.set(scope, locals, item.key, item.value, value);
+		}
+
+		/* Get the lookup index, re-indexing if the data/scope has changed */
+		function getIndex(scope, locals) {
 			var data = sourceGetter(scope, locals);
-			var index = 0;
+			if (!cache.index || data !== cache.data || scope !== cache.scope || locals !== cache.locals) {
+				cache = {
+					data: data,
+					scope: scope,
+					locals: locals,
+					index: indexItems(mapItems(data, scope, locals))
+				};
+			}
+			return cache.index;
+		}
+
+		/**
+		 * @function createBinding
+		 * @private
+		 *
+		 * @param {scope} scope
+		 * The scope to evaluate the expression in
+		 *
+		 * @param {function} [onchange]
+		 * function (items, grouped, diff)
+		 *
+		 * @param {object} options
+		 * Binding options (groupOrder)
+		 *
+		 * @returns {object}
+		 * The binding: { refresh, requery, lookupBySelect, lookupByMemo,
+		 * setModel }
+		 */
+		function createBinding(scope, onchange, options) {
+			/* Function from the data source, for requery */
+			var query = null;
+			var items = [];
+			/* Used to discard results of superseded refreshes */
+			var serial = 0;
+			var index = indexItems(items);
+			var latest = Promise.resolve(items);
+
+			return {
+				refresh: refresh,
+				requery: requery,
+				lookupBySelect: function (value) {
+					return index.select.get(value);
+				},
+				lookupByMemo: function (memo) {
+					return index.memo.get(memo);
+				},
+				setModel: function (item, value) {
+					setModel(scope, item, value);
+				}
+			};
 
-			return _.map(data, extractor);
+			function refresh() {
+				return update(function () {
+					var data = sourceGetter(scope);
+					query = typeof data === 'function' ? data : null;
+					return query ? query() : data;
+				});
+			}
 
-			function extractor(value, key) {
+			function requery() {
+				return query ? update(query) : latest;
+			}
+
+			/* Errors thrown while fetching the data reject the returned promise */
+			function update(fetch) {
+				var id = ++serial;
+				latest = new Promise(function (resolve) {
+					resolve(fetch());
+				}).then(function (data) {
+					if (id !== serial) {
+						return latest;
+					}
+					var next = mapItems(data, scope);
+					var diff = diffItems(items, next);
+					items = next;
+					index = indexItems(items);
+					if (onchange) {
+						onchange(items, groupItems(items, options.groupOrder), diff);
+					}
+					return items;
+				});
+				return latest;
+			}
+		}
+
+		/**
+		 * @function mapItems
+		 * @private
+		 *
+		 * @param {any} data
+		 * The data from the data source
+		 *
+		 * @param {scope} scope
+		 * The scope to evaluate the expression in
+		 *
+		 * @returns {array}
+		 * Array of items, filtered, sorted, sliced and mapped as specified by
+		 * the comprehension expression.
+		 */
+		function mapItems(data, scope, locals) {
+			var entries = _.map(data, function (value, key) {
+				return { key: key, value: value };
+			});
+
+			if (clauses.where) {
+				entries = entries.filter(function (entry) {
+					return clauses.where(scope, locals, entry.key, entry.value);
+				});
+			}
+
+			if (clauses.order.length) {
+				entries = sortEntries(entries);
+			}
+
+			if (clauses.limit || clauses.offset) {
+				var offset = clauses.offset ? Number(clauses.offset(scope, locals)) : 0;
+				var end = clauses.limit ? offset + Number(clauses.limit(scope, locals)) : undefined;
+				entries = entries.slice(offset, end);
+			}
+
+			return entries.map(function (entry, index) {
+				return extractor(entry.value, entry.key, index);
+			});
+
+			/* Sort entries by the order keys (stable) */
+			function sortEntries(entries) {
+				return entries
+					.map(function (entry) {
+						entry.sortKeys = clauses.order.map(function (order) {
+							return order.get(scope, locals, entry.key, entry.value);
+						});
+						return entry;
+					})
+					.sort(function (a, b) {
+						for (var i = 0; i < clauses.order.length; i++) {
+							var result = compareValues(a.sortKeys[i], b.sortKeys[i]);
+							if (result) {
+								return clauses.order[i].descending ? -result : result;
+							}
+						}
+						return 0;
+					});
+			}
+
+			function extractor(value, key, index) {
 				return {
-					index: index++,
+					index: index,
 					select: params.select(scope, locals, key, value),
 					label: params.label(scope, locals, key, value),
 					memo: params.memo(scope, locals, key, value),
@@ -119,6 +458,40 @@ function listParser() {
 			}
 		}
 
+		/**
+		 * @function getOrder
+		 * @private
+		 *
+		 * @param {string} [order]
+		 * The "order by" clause: comma-separated expressions, each optionally
+		 * followed by "asc" or "desc"
+		 *
+		 * @param {string} [direction]
+		 * Direction which followed the clause, applies to the last expression
+		 *
+		 * @returns {array}
+		 * Array of sort keys: { get: function(scope, locals, key, value),
+		 * descending: boolean }
+		 */
+		function getOrder(order, direction) {
+			if (order === undefined) {
+				return [];
+			}
+			if (direction !== undefined) {
+				if (!/^(asc|desc)$/i.test(direction)) {
+					throw new Error('Invalid sort direction: ' + direction);
+				}
+				order += ' ' + direction;
+			}
+			return splitList(order).map(function (key) {
+				var match = key.match(/^([^]*?)\s+(asc|desc)$/i);
+				return {
+					get: getField(match ? match[1] : key),
+					descending: !!match && match[2].toLowerCase() === 'desc'
+				};
+			});
+		}
+
 		/**
 		 * @function getField
 		 * @private
@@ -128,10 +501,18 @@ function listParser() {
 		 *
 		 * @returns {function}
 		 * A function(scope, locals, key, value) which evaluates the given
-		 * expression.
+		 * expression, with a set(scope, locals, key, value, newValue) method
+		 * which assigns to it.
 		 */
 		function getField(expr) {
+			/* Optional clause (e.g. "group by") is not present */
+			if (expr === undefined) {
+				return _.noop;
+			}
 			var parsed = arithmetic(expr);
+			get.set = set;
+			return get;
+
 			/**
 			 * @function get
 			 * @private
@@ -151,16 +532,251 @@ function listParser() {
 			 * @description
 			 * Evaluates the expression with the given context
 			 */
-			return function get(scope, vars, key, value) {
+			function get(scope, vars, key, value) {
+				return parsed(scope, itemLocals(vars, key, value));
+			}
+
+			function set(scope, vars, key, value, newValue) {
+				parsed.set(scope, itemLocals(vars, key, value), newValue);
+			}
+
+			function itemLocals(vars, key, value) {
 				var locals = _.assign({}, vars);
 				locals[comp.value] = value;
 				if (comp.key !== undefined) {
 					locals[comp.key] = key;
 				}
-				return parsed(scope, locals);
-			};
+				return locals;
+			}
+		}
+
+	}
+
+	/**
+	 * @function groupItems
+	 * @private
+	 *
+	 * @param {array} items
+	 * Mapped items
+	 *
+	 * @param {array|function} [groupOrder]
+	 * Either an array of group values, or a comparator function(a, b) for
+	 * group values.  Groups which are not in the array follow those which are,
+	 * in order of first appearance.  By default, groups are in order of first
+	 * appearance.
+	 *
+	 * @returns {array}
+	 * Array of { group, items }.  Items with no group (null or undefined) are
+	 * in a dedicated bucket { group: undefined, ungrouped: true, items } at the
+	 * start, which is omitted if there are no such items.  The order of items
+	 * within each group is preserved.
+	 */
+	function groupItems(items, groupOrder) {
+		var groups = [];
+		var index = new Map();
+		var ungrouped = { group: undefined, ungrouped: true, items: [] };
+		items.forEach(function (item) {
+			if (item.group === undefined || item.group === null) {
+				ungrouped.items.push(item);
+				return;
+			}
+			var group = index.get(item.group);
+			if (!group) {
+				group = { group: item.group, items: [] };
+				index.set(item.group, group);
+				groups.push(group);
+			}
+			group.items.push(item);
+		});
+		if (groupOrder instanceof Array) {
+			groups = _.sortBy(groups, function (group, i) {
+				var position = groupOrder.indexOf(group.group);
+				return position === -1 ? groupOrder.length + i : position;
+			});
+		} else if (typeof groupOrder === 'function') {
+			groups.sort(function (a, b) {
+				return groupOrder(a.group, b.group);
+			});
+		}
+		return ungrouped.items.length ? [ungrouped].concat(groups) : groups;
+	}
+
+	/**
+	 * @function indexItems
+	 * @private
+	 *
+	 * @param {array} items
+	 * Mapped items
+	 *
+	 * @returns {object}
+	 * { memo: Map, select: Map } mapping memos/select values to the first item
+	 * which has them
+	 */
+	function indexItems(items) {
+		var index = { memo: new Map(), select: new Map() };
+		items.forEach(function (item) {
+			if (!index.memo.has(item.memo)) {
+				index.memo.set(item.memo, item);
+			}
+			if (!index.select.has(item.select)) {
+				index.select.set(item.select, item);
+			}
+		});
+		return index;
+	}
+
+	/**
+	 * @function diffItems
+	 * @private
+	 *
+	 * @param {array} prev
+	 * Previous mapped items
+	 *
+	 * @param {array} next
+	 * New mapped items
+	 *
+	 * @returns {object}
+	 * { added, removed, moved }, see {@link listParser}
+	 */
+	function diffItems(prev, next) {
+		var prevIndex = indexByMemo(prev);
+		var nextIndex = indexByMemo(next);
+		var retainedNext = next.filter(function (item) { return prevIndex.has(item.memo); });
+		var stable = longestIncreasing(retainedNext.map(function (item) {
+			return prevIndex.get(item.memo);
+		}));
+		return {
+			added: next.filter(function (item) { return !prevIndex.has(item.memo); }),
+			removed: prev.filter(function (item) { return !nextIndex.has(item.memo); }),
+			moved: retainedNext
+				.filter(function (item, i) { return !stable[i]; })
+				.map(function (item) {
+					return { item: item, from: prevIndex.get(item.memo), to: item.index };
+				})
+		};
+
+		function indexByMemo(items) {
+			var index = new Map();
+			items.forEach(function (item) {
+				index.set(item.memo, item.index);
+			});
+			return index;
+		}
+	}
+
+	/**
+	 * @function longestIncreasing
+	 * @private
+	 *
+	 * @param {number[]} values
+	 * Previous indices of the retained items, in their new order
+	 *
+	 * @returns {boolean[]}
+	 * Flags marking the values which form a longest increasing subsequence,
+	 * i.e. the most items which can stay put while the others move around them
+	 */
+	function longestIncreasing(values) {
+		/* tails[k] is the index of the smallest last value of a run of k + 1 */
+		var tails = [];
+		var previous = [];
+		values.forEach(function (value, i) {
+			var lo = 0;
+			var hi = tails.length;
+			while (lo < hi) {
+				var mid = (lo + hi) >> 1;
+				if (values[tails[mid]] < value) {
+					lo = mid + 1;
+				} else {
+					hi = mid;
+				}
+			}
+			previous[i] = lo ? tails[lo - 1] : -1;
+			tails[lo] = i;
+		});
+		var result = values.map(function () { return false; });
+		for (var i = tails.length ? _.last(tails) : -1; i !== -1; i = previous[i]) {
+			result[i] = true;
+		}
+		return result;
+	}
+
+	/**
+	 * @function compareValues
+	 * @private
+	 *
+	 * @description
+	 * Comparator for sort keys.  Undefined and null values sort last.
+	 */
+	function compareValues(a, b) {
+		var aMissing = a === undefined || a === null;
+		var bMissing = b === undefined || b === null;
+		if (aMissing || bMissing) {
+			return aMissing - bMissing;
+		}
+		return a < b ? -1 : a > b ? 1 : 0;
+	}
+
+	/**
+	 * @function splitList
+	 * @private
+	 *
+	 * @param {string} expr
+	 * Comma-separated list of expressions
+	 *
+	 * @returns {array}
+	 * The expressions (trimmed).  Commas within brackets or strings do not
+	 * separate expressions.
+	 */
+	function splitList(expr) {
+		var items = [''];
+		var depth = 0;
+		var quote = null;
+		for (var i = 0; i < expr.length; i++) {
+			var c = expr.charAt(i);
+			if (quote) {
+				if (c === '\\') {
+					items[items.length - 1] += c;
+					c = expr.charAt(++i);
+				} else if (c === quote) {
+					quote = null;
+				}
+			} else if (c === '"' || c === '\'') {
+				quote = c;
+			} else if ('([{'.indexOf(c) !== -1) {
+				depth++;
+			} else if (')]}'.indexOf(c) !== -1) {
+				depth--;
+			} else if (c === ',' && depth === 0) {
+				items.push('');
+				continue;
+			}
+			items[items.length - 1] += c;
 		}
+		return items.map(function (item) { return item.trim(); });
+	}
 
+	/**
+	 * @function parse
+	 * @private
+	 *
+	 * @param {string} expr
+	 * The comprehension expression
+	 *
+	 * @returns {object}
+	 * The captures, keyed by role, or undefined if the expression is invalid
+	 */
+	function parse(expr) {
+		var captures = compParser(expr);
+		if (!captures || _.isEmpty(config.roles)) {
+			return captures;
+		}
+		return _.reduce(captures, function (comp, value, name) {
+			var role = _.has(config.roles, name) ? config.roles[name] : name;
+			if (value !== undefined || !_.has(comp, role)) {
+				comp[role] = value;
+			}
+			return comp;
+		}, {});
 	}
 
 	/**
@@ -178,11 +794,10 @@ function listParser() {
 		if (!comp.source) {
 			throw new Error('Source not specified invalid');
 		}
-		/* Only "{source}" */
+		/* Only "{source}" (or a custom template with no item variable) */
 		if (comp.value === undefined) {
-			comp.value = 'item';
-			comp.label = 'item.title';
-			comp.select = 'item.value';
+			comp.value = defaults.value;
+			_.defaults(comp, _.pick(defaults, 'label', 'select', 'memo'));
 		}
 		/* No "{select} as" */
 		if (comp.select === undefined) {
@@ -205,7 +820,7 @@ function listParser() {
 	 *
 	 * @description
 	 * Parses an expression, fills in defaults, rebuilds expression to a
-	 * string and returns it.
+	 * string (via the comprehension unparser) and returns it.
 	 *
 	 * If:
 	 *   filled = testFillDefaults(expr)
@@ -213,22 +828,13 @@ function listParser() {
 	 *   filled === testFillDefaults(filled)
 	 */
 	function testFillDefaults(expr) {
-		var comp = compParser(expr);
+		var comp = parse(expr);
 		fillDefaults(comp);
-		return _.flatten([
-			comp.select,
-			'as',
-			comp.label,
-			comp.group !== undefined ? ['group by', comp.group] : [],
-			'for',
-			comp.key !== undefined ?
-				'(' + comp.key + ', ' + comp.value + ')' :
-				comp.value,
-			'in',
-			comp.source,
-			'track by',
-			comp.memo
-		]).join(' ');
+		/* Map roles back to the template's capture names */
+		var captures = _.assign({}, comp, _.mapValues(config.roles, function (role) {
+			return comp[role];
+		}));
+		return compParser.unparse(captures);
 	}
 
 }
@@ -1,8 +1,11 @@
 var _ = require('lodash');
+var ParseError = require('../util/errors').ParseError;
+var markerStrings = require('../util/language-builder').markerStrings;
 
 module.exports = recursiveParser;
 
 recursiveParser.unparse = recursiveUnparser;
+recursiveParser.complete = complete;
 
 /**
  * @name recursiveParser
@@ -14,7 +17,14 @@ recursiveParser.unparse = recursiveUnparser;
  * The language definition to use to parse the expression.
  *
  * @returns {parsetree}
- * The parse tree
+ * The parse tree.  If the "recover" option is set, an object containing the
+ * parse tree (tree), an array of {@link ParseError|ParseErrors}
+ * (diagnostics), and the names of the terms which could follow the end of the
+ * expression (expected) instead.
+ *
+ * @throws {ParseError}
+ * On syntax errors, with the names of the terms which were expected (unless
+ * the "recover" option is set)
  *
  * @description
  * Parses a recursive expresion as defined by the given language.
@@ -42,9 +52,23 @@ function recursiveParser(expr, language, options) {
 		 * source (including start/end markers of group) if this option is set.
 		 */
 		originalStrings: false,
+		/*
+		 * Do not throw on syntax errors, instead insert synthetic nodes into the
+		 * parse tree and carry on parsing.  Useful for tooling (highlighting,
+		 * autocompletion) which must work on incomplete input.
+		 *
+		 * Text which does not match anything is put into "error" nodes, and
+		 * groups which are not closed have a "missing" node appended where the
+		 * end marker should be (and their "missing" property set).  A ParseError
+		 * describing each problem is added to the diagnostics.
+		 *
+		 * Syntax errors do not cause backtracking in this mode.
+		 */
+		recover: false
 	}, options);
 	var backtrack = options.backtrack;
 	var originalStrings = options.originalStrings;
+	var recover = options.recover;
 	/*
 	 * Aether defines a group that can appear anywhere, with lowest precedence
 	 * in searches (unless explicitly specified in a subgroup/postgroup list).
@@ -58,8 +82,24 @@ function recursiveParser(expr, language, options) {
 	/* Parser state: position in expression and last matched substring */
 	var pos = 0;
 
+	/* Syntax errors which were recovered from */
+	var diagnostics = [];
+
+	/* Names of terms which could start at the end of the expression */
+	var endExpected = null;
+
 	/* Recursively parse expression */
-	return getGroup({ name: 'result', isRoot: true, subgroups: language }, '');
+	var tree = getGroup({ name: 'result', isRoot: true, subgroups: language }, '');
+
+	if (!recover) {
+		return tree;
+	}
+
+	return {
+		tree: tree,
+		diagnostics: _.sortBy(diagnostics, 'position'),
+		expected: endExpected || []
+	};
 
 	/*
 	 * Parse until the end of the group is reached, and return the parse
@@ -76,10 +116,14 @@ function recursiveParser(expr, language, options) {
 		}
 		/* Array of matched groups */
 		var groups = [], nextGroups = group.subgroups;
+		/* Start of unmatched text and what was expected there (recover mode) */
+		var errorStart = null, errorExpected;
 		while (pos < expr.length) {
+			var position = pos;
 			/* Look for beginning of subgroup */
 			var match = tryMatchSubgroups(nextGroups);
 			if (match) {
+				endError(position);
 				var postgroups = match.group.postgroups;
 				var samePostgroups = match.group.samePostgroups;
 				nextGroups = samePostgroups ? nextGroups :
@@ -91,6 +135,7 @@ function recursiveParser(expr, language, options) {
 			if (!group.isRoot) {
 				var end = tryMatch(group.end);
 				if (end) {
+					endError(position);
 					/* Consume end of group */
 					consume(end.length);
 					/* Return group */
@@ -102,32 +147,89 @@ function recursiveParser(expr, language, options) {
 				}
 			}
 			if (aether && tryMatchSubgroup(aether)) {
+				endError(position);
 				continue;
 			}
 			/* Nothing matched */
-			throw new Error('Syntax error at character ' + pos + '\n> ' +
-				subexp(expr) + '\n  ' + subexp(space(pos - 1) + '^'));
-		}
-		function subexp(s) {
-			if (pos + 30 < s.length) {
-				 s = s.substr(0, pos + 30);
+			if (!recover) {
+				/* Offending text is up to the next whitespace */
+				throw new ParseError('Syntax error', {
+					expression: expr,
+					position: pos,
+					length: Math.max(1, /^\S*/.exec(expr.substr(pos))[0].length),
+					expected: expected()
+				});
 			}
-			if (pos - 30 > 0) {
-				s = s.substr(pos - 30);
+			/* Skip the character, consecutive skipped characters form one error */
+			if (errorStart === null) {
+				errorStart = pos;
+				errorExpected = expected();
 			}
-			return s;
+			consume(1);
 		}
-		function space(n) { for (var s=''; n >= 0; --n) { s += ' '; } return s; }
+		/* The innermost group reaches the end of the expression first */
+		if (!endExpected) {
+			endExpected = _.pluck(nextGroups, 'name');
+		}
+		endError(pos);
 		if (group.isRoot) {
 			/* Return root */
 			return resultFactory('group', {
 				groups: groups
 			});
-		} else {
-			/* End of group not reached */
-			throw new Error('Unexpected end of expression (possibly unmatched' +
-				' «' + start + '» at position ' + startPosition + '): ' +
-				expr.substr(startPosition));
+		}
+		/* End of group not reached */
+		var unclosed = new ParseError('Unexpected end of expression (possibly ' +
+			'unmatched «' + start + '» at position ' + startPosition + ')', {
+			expression: expr,
+			position: pos,
+			expected: expected()
+		});
+		if (!recover) {
+			throw unclosed;
+		}
+		diagnostics.push(unclosed);
+		groups.push({
+			type: 'missing',
+			position: pos,
+			length: 0,
+			term: group.name
+		});
+		return resultFactory('group', {
+			start: start,
+			end: '',
+			groups: groups,
+			missing: true
+		});
+
+		/* Store unmatched text which ended at the given position (recover mode) */
+		function endError(position) {
+			if (errorStart === null) {
+				return;
+			}
+			var length = position - errorStart;
+			groups.push({
+				type: 'error',
+				position: errorStart,
+				length: length,
+				content: expr.substr(errorStart, length)
+			});
+			diagnostics.push(new ParseError('Syntax error', {
+				expression: expr,
+				position: errorStart,
+				length: length,
+				expected: errorExpected
+			}));
+			errorStart = null;
+		}
+
+		/* Names of terms which could have matched at the current position */
+		function expected() {
+			return _(nextGroups)
+				.pluck('name')
+				.concat(group.isRoot ? [] : [group.name])
+				.uniq()
+				.value();
 		}
 
 		function resultFactory(type, data) {
@@ -213,7 +315,10 @@ function recursiveParser(expr, language, options) {
 	function consume(count) {
 		pos += count;
 		if (pos > expr.length) {
-			throw new Error('Unexpected end of expression');
+			throw new ParseError('Unexpected end of expression', {
+				expression: expr,
+				position: expr.length
+			});
 		} else if (pos === expr.length) {
 			return false;
 		} else {
@@ -222,6 +327,117 @@ function recursiveParser(expr, language, options) {
 	}
 }
 
+/**
+ * @name complete
+ *
+ * @param {string} expr
+ * The (possibly incomplete) expression being edited
+ *
+ * @param {number} [offset]
+ * Offset of the cursor in the expression (default: end of expression)
+ *
+ * @param {language} language
+ * The language definition, as used with {@link recursiveParser}
+ *
+ * @param {object} [options]
+ *
+ *  * suggest: function (term, context) which returns an array of strings to
+ *    suggest for a term which has no literal marker (e.g. identifiers).  The
+ *    context contains the partially-typed text (prefix) and the sibling nodes
+ *    which precede the cursor in the innermost group of the parse tree (nodes).
+ *
+ * @returns {object}
+ *
+ *   * terms: names of the terms which could appear at the cursor
+ *
+ *   * candidates: array of { term, text, position } where text is a concrete
+ *     string which could be inserted, replacing the expression from position
+ *     up to the cursor.  Where the cursor is at the end of a token which could
+ *     be extended (e.g. part of an identifier or operator), candidates which
+ *     replace that token are included as well as candidates which follow it.
+ *
+ * @description
+ * Autocompletion: determines what could come next at a given offset in an
+ * expression.  The expression up to the offset is parsed in "recover" mode, so
+ * the expression may be incomplete or contain errors.
+ *
+ * Literal strings are derived from the start markers of the candidate terms,
+ * and from the end markers of the enclosing unclosed groups.  Markers which
+ * are regular expressions only produce literals if they are a plain list of
+ * alternatives (e.g. /^(\+|-|in\b)/).
+ */
+function complete(expr, offset, language, options) {
+	if (typeof offset !== 'number') {
+		options = language;
+		language = offset;
+		offset = expr.length;
+	}
+	options = _.assign({ suggest: null }, options);
+	var terms = [];
+	var candidates = [];
+
+	var state = parseState(offset);
+	addCandidates(state, offset, '');
+	/* Also complete the token which ends at the cursor, if any */
+	var last = _.last(state.nodes);
+	if (last && !last.groups && last.position + last.length === offset) {
+		var partial = expr.substr(last.position, last.length);
+		addCandidates(parseState(last.position), last.position, partial);
+	}
+
+	return {
+		terms: _.uniq(terms),
+		candidates: _.uniq(candidates, function (candidate) {
+			return [candidate.term, candidate.text, candidate.position].join('\n');
+		})
+	};
+
+	/*
+	 * Parse the expression up to the given offset, and find what is expected
+	 * there, the unclosed group (if any) and the nodes before the offset
+	 */
+	function parseState(end) {
+		var result = recursiveParser(expr.substr(0, end), language, { recover: true });
+		var group = null;
+		var nodes = result.tree.groups;
+		while (nodes.length && _.last(nodes).missing) {
+			group = _.last(nodes);
+			nodes = _.reject(group.groups, { type: 'missing' });
+		}
+		return {
+			expected: result.expected,
+			group: group,
+			nodes: nodes
+		};
+	}
+
+	function addCandidates(state, position, prefix) {
+		var context = { prefix: prefix, nodes: state.nodes };
+		state.expected.forEach(function (name) {
+			var term = language.terms[name];
+			add(name, markerStrings(term.start));
+			if (options.suggest && !markerStrings(term.start).length) {
+				add(name, options.suggest(name, context) || []);
+			}
+		});
+		if (state.group) {
+			add(state.group.type, markerStrings(language.terms[state.group.type].end));
+		}
+
+		function add(name, texts) {
+			if (prefix && !_.contains(state.expected, name) && name !== (state.group && state.group.type)) {
+				return;
+			}
+			terms.push(name);
+			texts.forEach(function (text) {
+				if (text.length > prefix.length && text.substr(0, prefix.length) === prefix) {
+					candidates.push({ term: name, text: text, position: position });
+				}
+			});
+		}
+	}
+}
+
 /**
  * @name recursiveUnparser
  *
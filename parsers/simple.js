@@ -1,8 +1,11 @@
 const _ = require('lodash');
+const ParseError = require('../util/errors').ParseError;
+const markerStrings = require('../util/language-builder').markerStrings;
 
 module.exports = simpleParser;
 
 simpleParser.unparse = simpleUnparser;
+simpleParser.compile = compileLanguage;
 
 /**
  * @name simpleParser
@@ -12,11 +15,30 @@ simpleParser.unparse = simpleUnparser;
  *
  * @param {language} language
  * The language definition to use to parse the expression.  Entities, start, and
- * end criteria may either be characters or arrays of characters.
+ * end markers may be strings (of any length), arrays of strings, or regular
+ * expressions (e.g. as generated by the {@link languageBuilder} with the
+ * "parseMarkers" option).  Where several markers match at the same position,
+ * the longest match is used (and for matches of equal length, the end of the
+ * current group takes precedence over the first matching subgroup).
+ *
+ * The escape character (see {@link escapeFor}) prevents the following
+ * character from being read as (the start of) a marker.
+ *
+ * @param {object} [options]
+ *
+ *  * unescape: remove escape characters from text values (by default, text
+ *    is kept verbatim, including escape characters).
+ *
+ *  * positions: record the location of each node in the expression, as
+ *    "start" and "end" offsets (end is exclusive, and includes the group's
+ *    markers) and the one-based "line" and "column" of the start.
  *
  * @returns {parsetree}
  * The parse tree
  *
+ * @throws {ParseError}
+ * If a group is not terminated
+ *
  * @description
  * Parses a simple expresion as defined by the given language.
  *
@@ -25,91 +47,409 @@ simpleParser.unparse = simpleUnparser;
  * Specifically, this service creates a function which parses any Chomsky
  * type-3 grammar that satisfies the given language specification, returning
  * a parse tree.
+ *
+ * This scans the language definition for every character of the expression.
+ * To parse many expressions with the same language, compile the language
+ * once with {@link compileLanguage|simpleParser.compile} instead.
  */
-function simpleParser(expr, language) {
+function simpleParser(expr, language, options) {
 	let i = 0;
-	const escapeChar = '\\';
-	return getGroup({ name: 'result', start: null, end: null, subgroups: language });
+	const unescape = !!(options && options.unescape);
+	const makeNode = nodeFactory(expr, options && options.positions);
+	return getGroup(rootGroup(language), '');
 
 	/*
 	 * Parse until the end of the group is reached, and return the parse
-	 * tree
+	 * tree.  The start marker of the group has just been consumed.
 	 */
-	function getGroup(group) {
+	function getGroup(group, start) {
 		const result = [];
 		let token = '';
-		let c, subgroup;
+		let tokenStart = i;
 		/*
 		 * Entity (self-closing, has no contents)
 		 *
-		 * If entity has multiple start/end characters, the start/end
+		 * If entity has multiple start/end markers, the start/end
 		 * properties (which would be arrays) must be equal BY REFERENCE.
 		 *
-		 * Also, ANY end character will end the group, not necessarily the
-		 * same char/index that opened the group.
+		 * Also, ANY end marker will end the group, not necessarily the
+		 * same marker/index that opened the group.
 		 */
 		if (group.end === group.start && group.start !== null) {
 			return null;
 		}
 		/*
-		 * We could possibly speed this up by pre-compiling regular
-		 * expressions for each possible subgroup list, which would allow the
-		 * actual looping logic to be moved into the runtime, but the
-		 * performance of this simple implementation is already so damn fast
-		 * for the current use case (comprehension expression syntax parsers)
-		 * that I can't really be bothered.  Maybe in future if we start
-		 * parsing big expressions frequently via this service...  That
-		 * would presumably involve a "language compiler" which generates
-		 * a set of regular expressions for each subgroup combination once,
-		 * rather than it being done for each invocation of the parser.
+		 * See compileLanguage for a faster version of this loop, which
+		 * pre-computes the lookups for each group
 		 */
-		const isEndChar = group.end instanceof Array ?
-			function (c) { return _.contains(group.end, c); } :
-			function (c) { return group.end === c; };
-		let escaped = false;
-		while (escaped || !isEndChar(c = getChar())) {
-			/* Test if char marks start of a subgroup */
-			if (!escaped && (subgroup = isSubgroup(c))) {
+		const escapeChar = escapeFor(group, language);
+		const startPosition = i - start.length;
+		for (;;) {
+			if (i === expr.length) {
+				if (endsAtEnd(group)) {
+					break;
+				}
+				throw unterminated(expr, group, start, startPosition);
+			}
+			const marker = matchMarkers(group, expr, i);
+			if (marker && marker.end) {
+				endToken();
+				i += marker.text.length;
+				break;
+			} else if (marker) {
 				endToken();
-				result.push({ type: subgroup.name, value: getGroup(subgroup) });
+				const begin = i;
+				i += marker.text.length;
+				const value = getGroup(marker.group, marker.text);
+				result.push(makeNode(marker.group.name, value, begin, i));
+			} else if (escapeChar && expr.startsWith(escapeChar, i)) {
+				/* An escaped character never starts a marker */
+				startToken();
+				i += escapeChar.length;
+				token += escaped(escapeChar, expr, i, unescape);
+				i = Math.min(i + 1, expr.length);
 			} else {
-				token += c;
-				escaped = !escaped && c === escapeChar;
+				startToken();
+				token += expr.charAt(i++);
 			}
 		}
 		endToken();
 
 		return result;
 
+		/* Record where the current token starts */
+		function startToken() {
+			if (!token.length) {
+				tokenStart = i;
+			}
+		}
+
 		/* Store the current token */
 		function endToken() {
 			if (token.length) {
-				result.push({ type: 'text', value: token });
+				result.push(makeNode('text', token, tokenStart, i));
 				token = '';
 			}
 		}
+	}
+}
+
+/**
+ * @name compileLanguage
+ *
+ * @param {language} language
+ * The language definition, as for the {@link simpleParser}
+ *
+ * @param {object} [options]
+ * Parser options, as for the {@link simpleParser}
+ *
+ * @returns {function}
+ * A function(expr) which parses expressions in the language, returning the
+ * same parse tree as the {@link simpleParser} would (and throwing the same
+ * errors)
+ *
+ * @description
+ * Compiles a language for the simple parser, for when many expressions are
+ * parsed with the same language.
+ *
+ * For each group in the language, a lookup table of the string markers (by
+ * their first character) which start subgroups or end the group is built
+ * (when the group is first reached), along with a sticky regular expression
+ * which matches runs of plain text.  Parsing then skips over text in one
+ * step, and only tries the markers which begin with the next character,
+ * rather than scanning the group's subgroups.  RegExp markers are tried at
+ * every character of groups which have them.
+ */
+function compileLanguage(language, options) {
+	const unescape = !!(options && options.unescape);
+	const positions = !!(options && options.positions);
+	const root = rootGroup(language);
+	const tables = new Map();
+
+	return function compiledParser(expr) {
+		let i = 0;
+		const makeNode = nodeFactory(expr, positions);
+		return getGroup(root, '');
+
+		/* Parse until the end of the group is reached */
+		function getGroup(group, start) {
+			const table = getTable(group);
+			if (table.entity) {
+				return null;
+			}
+			const result = [];
+			const startPosition = i - start.length;
+			let token = '';
+			let tokenStart = i;
+			for (;;) {
+				if (!token.length) {
+					tokenStart = i;
+				}
+				if (table.text) {
+					table.text.lastIndex = i;
+					const text = table.text.exec(expr);
+					if (text) {
+						token += text[0];
+						i += text[0].length;
+					}
+				}
+				if (i === expr.length) {
+					if (table.endsAtEnd) {
+						break;
+					}
+					throw unterminated(expr, group, start, startPosition);
+				}
+				const marker = matchTable(table, expr, i);
+				if (marker) {
+					if (token.length) {
+						result.push(makeNode('text', token, tokenStart, i));
+						token = '';
+					}
+					const begin = i;
+					i += marker.text.length;
+					if (marker.end) {
+						break;
+					}
+					const value = getGroup(marker.group, marker.text);
+					result.push(makeNode(marker.group.name, value, begin, i));
+				} else if (table.escape && expr.startsWith(table.escape, i)) {
+					i += table.escape.length;
+					token += escaped(table.escape, expr, i, unescape);
+					i = Math.min(i + 1, expr.length);
+				} else {
+					token += expr.charAt(i++);
+				}
+			}
+			if (token.length) {
+				result.push(makeNode('text', token, tokenStart, i));
+			}
+			return result;
+		}
+	};
 
-		/* Is the given character marking the start of a subgroup? */
-		function isSubgroup(c) {
-			return _.find(group.subgroups, function (group) {
-					return group.start instanceof Array ?
-						_(group.start).contains(c) :
-						group.start === c;
-				});
+	/* Get (or build) the lookup tables for a group */
+	function getTable(group) {
+		let table = tables.get(group);
+		if (!table) {
+			table = buildTable(group);
+			tables.set(group, table);
 		}
+		return table;
 	}
 
-	/* Read the next char of the expression */
-	function getChar() {
-		if (i > expr.length) {
-			throw new Error('Unexpected end of expression');
-		} if (i === expr.length) {
-			i++;
-			return null;
-		} else {
-			return expr.charAt(i++);
+	function buildTable(group) {
+		/* String markers by first character, and RegExp markers */
+		const strings = Object.create(null);
+		const patterns = [];
+		markerCandidates(group).forEach(function (candidate) {
+			const markers = candidate.marker instanceof Array ? candidate.marker : [candidate.marker];
+			markers.forEach(function (marker) {
+				if (marker instanceof RegExp) {
+					patterns.push(_.assign({}, candidate, { marker: marker }));
+				} else if (marker) {
+					const c = marker.charAt(0);
+					strings[c] = (strings[c] || []).concat([{
+						text: marker,
+						end: candidate.end,
+						group: candidate.group,
+						rank: candidate.rank
+					}]);
+				}
+			});
+		});
+		/* So that the first string marker which matches is the best match */
+		_.each(strings, function (candidates, c) {
+			strings[c] = _.sortByAll(candidates, [function (candidate) {
+				return -candidate.text.length;
+			}, 'rank']);
+		});
+		/* Plain text can only be skipped if no RegExp markers could start in it */
+		const escape = escapeFor(group, language);
+		const special = _.keys(strings).concat(escape ? [escape.charAt(0)] : []);
+		return {
+			entity: group.end === group.start && group.start !== null,
+			endsAtEnd: endsAtEnd(group),
+			escape: escape,
+			strings: strings,
+			patterns: patterns,
+			text: patterns.length ? null : new RegExp('[^' + special.map(function (c) {
+				return c.replace(/[\\\]\^\-]/g, '\\$&');
+			}).join('') + ']+', 'y')
+		};
+	}
+
+	/* Longest marker at a position, using a group's lookup tables */
+	function matchTable(table, expr, pos) {
+		const strings = table.strings[expr.charAt(pos)];
+		if (table.patterns.length) {
+			return longestMatch((strings || []).map(function (candidate) {
+				return _.assign({ marker: candidate.text }, candidate);
+			}).concat(table.patterns), expr, pos);
+		}
+		/* Hot path, so a plain loop */
+		for (let j = 0; strings && j < strings.length; j++) {
+			if (expr.startsWith(strings[j].text, pos)) {
+				return strings[j];
+			}
+		}
+		return null;
+	}
+}
+
+/*
+ * Make a function(type, value, start, end) which creates parse tree nodes,
+ * with their location in the expression if positions are enabled
+ */
+function nodeFactory(expr, positions) {
+	if (!positions) {
+		return function (type, value) {
+			return { type: type, value: value };
+		};
+	}
+	const lineStarts = [0];
+	for (let i = expr.indexOf('\n'); i !== -1; i = expr.indexOf('\n', i + 1)) {
+		lineStarts.push(i + 1);
+	}
+	return function (type, value, start, end) {
+		const line = _.sortedLastIndex(lineStarts, start);
+		return {
+			type: type,
+			value: value,
+			start: start,
+			end: end,
+			line: line,
+			column: start - lineStarts[line - 1] + 1
+		};
+	};
+}
+
+/* The implicit group which contains the whole expression */
+function rootGroup(language) {
+	return { name: 'result', start: null, end: null, subgroups: language };
+}
+
+/**
+ * @name escapeFor
+ * @private
+ *
+ * @param {object} group
+ * A group (term) of the language
+ *
+ * @param {language} language
+ * The language
+ *
+ * @returns {string|null}
+ * The escape character in the group, or null if escaping is disabled there
+ *
+ * @description
+ * The escape character is set by the group's "escape" property, or for groups
+ * which don't have one, by the language's "escape" property (e.g. via the
+ * "extra" option of the {@link languageBuilder}).  The default is a
+ * backslash.  An escape of null (or false) disables escaping, e.g. for
+ * verbatim blocks.
+ */
+function escapeFor(group, language) {
+	const escape = group.escape !== undefined ? group.escape :
+		language.escape !== undefined ? language.escape : '\\';
+	return escape || null;
+}
+
+/*
+ * The text for an escape sequence, given the position after the escape
+ * character: the escaped character, with its escape unless unescaping.  An
+ * escape character at the end of the expression is kept.
+ */
+function escaped(escapeChar, expr, pos, unescape) {
+	if (pos === expr.length) {
+		return escapeChar;
+	}
+	return (unescape ? '' : escapeChar) + expr.charAt(pos);
+}
+
+/*
+ * The markers which may appear in a group, in order of precedence when they
+ * match the same text: the group's end, then the subgroups' starts
+ */
+function markerCandidates(group) {
+	return [{ marker: group.end, end: true, group: null, rank: 0 }]
+		.concat(_.map(group.subgroups, function (subgroup, index) {
+			return { marker: subgroup.start, end: false, group: subgroup, rank: index + 1 };
+		}));
+}
+
+/*
+ * Find the longest marker of a group at a position, returning { text, end,
+ * group } where end is true for the group's end, or null if none match
+ */
+function matchMarkers(group, expr, pos) {
+	return longestMatch(markerCandidates(group), expr, pos);
+}
+
+/* Find the longest (then highest precedence) of the candidate markers */
+function longestMatch(candidates, expr, pos) {
+	let best = null;
+	let bestRank = 0;
+	candidates.forEach(function (candidate) {
+		const text = matchMarker(candidate.marker, expr, pos);
+		if (text && (!best || text.length > best.text.length ||
+			text.length === best.text.length && candidate.rank < bestRank)) {
+			best = { text: text, end: candidate.end, group: candidate.group };
+			bestRank = candidate.rank;
 		}
+	});
+	return best;
+}
+
+/*
+ * Match a marker (a string, an array of strings or a RegExp) at a position,
+ * returning the matched text (or null if the marker doesn't match there)
+ */
+function matchMarker(marker, expr, pos) {
+	if (typeof marker === 'string') {
+		return marker && expr.startsWith(marker, pos) ? marker : null;
+	} else if (marker instanceof Array) {
+		return _.reduce(marker, function (longest, alternative) {
+			const text = matchMarker(alternative, expr, pos);
+			return text && (!longest || text.length > longest.length) ? text : longest;
+		}, null);
+	} else if (marker instanceof RegExp) {
+		const rx = stickyMarker(marker);
+		rx.lastIndex = pos;
+		const match = rx.exec(expr);
+		return match && match[0] ? match[0] : null;
 	}
+	return null;
+}
+
+/* Sticky versions of non-sticky RegExp markers (e.g. /^(...)/) */
+const stickyMarkers = new WeakMap();
+
+function stickyMarker(rx) {
+	if (rx.sticky) {
+		return rx;
+	}
+	let sticky = stickyMarkers.get(rx);
+	if (!sticky) {
+		/* The sticky flag anchors the match, so drop any leading anchor */
+		const source = rx.multiline ? rx.source : rx.source.replace(/^\^/, '');
+		sticky = new RegExp(source, rx.flags.replace('g', '') + 'y');
+		stickyMarkers.set(rx, sticky);
+	}
+	return sticky;
+}
+
+/* Does the group end at the end of the expression (i.e. is it the root)? */
+function endsAtEnd(group) {
+	return group.end instanceof Array ? _.contains(group.end, null) : group.end === null;
+}
+
+function unterminated(expr, group, start, startPosition) {
+	return new ParseError('Unexpected end of expression (possibly ' +
+		'unmatched «' + start + '» at position ' + startPosition + ')', {
+		expression: expr,
+		position: expr.length,
+		expected: [group.name]
+	});
 }
 
 /**
@@ -121,49 +461,91 @@ function simpleParser(expr, language) {
  * @param {language} language
  * The language to unparse to.
  *
+ * @param {object} [options]
+ *
+ *  * unescape: the text values are unescaped (i.e. were parsed with the
+ *    "unescape" option), so escape characters in them are literal text.
+ *
  * @returns {string}
  * Expression which is invariant in a parse->unparse round-trip with the
  * given language.
  *
- * @description
- * This was used for testing the parser.
+ * @throws {Error}
+ * If text would be read as a marker, in a group where escaping is disabled
  *
+ * @description
  * Converts a parse tree generated by the {@link simpleParser}
  * back to a string.
  *
+ * Text which would otherwise be read as a marker (or as an escape, for
+ * unescaped text) is escaped, so that parsing the result gives the same parse
+ * tree.  Escape sequences in verbatim (not unescaped) text are kept as they
+ * are.
+ *
  * If two languages have the same structure, but different syntax, then
  * an expression can be parsed in one language, then unparsed into the
  * other language as a simple way to translate between them.
  */
-function simpleUnparser(tree, language) {
-	return unparseNodes(tree, language);
+function simpleUnparser(tree, language, options) {
+	const unescape = !!(options && options.unescape);
+	return unparseNodes(tree, rootGroup(language));
 
-	function unparseNodes(nodes, phrases) {
+	function unparseNodes(nodes, group) {
 		return _.map(nodes, function (node) {
-			return unparseNode(node, phrases);
+			return unparseNode(node, group);
 		}).join('');
 	}
 
-	function unparseNode(node, phrases) {
+	function unparseNode(node, group) {
 		if (node.type === 'text') {
-			return node.value;
+			return unparseText(node.value, group);
 		} else {
-			const block = _.findWhere(phrases, { name: node.type });
+			const block = _.findWhere(group.subgroups, { name: node.type });
+			if (!block) {
+				throw new Error('Unknown phrase type: ' + node.type);
+			}
 			if (block.start === block.end) {
 				return ch(block.start);
 			} else {
-				if (!block) {
-					throw new Error('Unknown phrase type: ' + node.type);
-				}
 				return ch(block.start) +
-					unparseNodes(node.value, block.subgroups) +
+					unparseNodes(node.value, block) +
 					ch(block.end);
 			}
 		}
 
-		function ch(arr) {
-			return arr instanceof Array ? arr[0] : arr;
+		/* The first literal string of a marker */
+		function ch(marker) {
+			const strings = markerStrings(marker);
+			if (!strings.length) {
+				throw new Error('Cannot unparse marker of "' + node.type + '": ' + marker);
+			}
+			return strings[0];
+		}
+	}
+
+	/* Escape text which would be read as a marker */
+	function unparseText(text, group) {
+		const escapeChar = escapeFor(group, language);
+		let result = '';
+		let i = 0;
+		while (i < text.length) {
+			if (escapeChar && text.startsWith(escapeChar, i)) {
+				/* Literal escape character, or an escape sequence to keep */
+				const length = unescape ? escapeChar.length : escapeChar.length + 1;
+				result += (unescape ? escapeChar : '') + text.substr(i, length);
+				i += length;
+				continue;
+			}
+			if (matchMarkers(group, text, i)) {
+				if (!escapeChar) {
+					throw new Error('Cannot unparse text in "' + group.name + '" ' +
+						'which would be read as a marker, as escaping is disabled: ' + text);
+				}
+				result += escapeChar;
+			}
+			result += text.charAt(i++);
 		}
+		return result;
 	}
 
 }
@@ -6,6 +6,7 @@ var _ = require('lodash');
 require('blanket');
 
 var simpleParser = require('../parsers/simple');
+var ParseError = require('../util/errors').ParseError;
 
 /**
  * @name simpleParserTest
@@ -89,6 +90,20 @@ describe('Simple parser', function () {
 		}).to.throw(Error);
 	});
 
+	it('Reports position of unterminated blocks', function () {
+		var error;
+		try {
+			simpleParser('{x (y', language);
+		} catch (e) {
+			error = e;
+		}
+		expect(error).to.be.an.instanceof(ParseError);
+		expect(error.position).to.equal(5);
+		expect(error.column).to.equal(6);
+		expect(error.expected).to.deep.equal(['any']);
+		expect(error.message).to.contain('position 3');
+	});
+
 	it('Fails on invalid nesting', function () {
 		expect(function () {
 			var tree = simpleParser('{[}]', language);
@@ -133,4 +148,219 @@ describe('Simple parser', function () {
 		expect(simpleParser.unparse(tree, language)).to.equal(expr);
 	});
 
+	it('Keeps escaped characters verbatim', function () {
+		var tree = simpleParser('a\\(b\\-)', language);
+		expect(tree).to.deep.equal([{ type: 'text', value: 'a\\(b\\-)' }]);
+		expect(simpleParser('(\\))', language)[0].value).to.deep.equal([{ type: 'text', value: '\\)' }]);
+	});
+
+	describe('Positions', function () {
+
+		var expr = 'a (b\n-)-';
+
+		it('Records the location of each node', function () {
+			var tree = simpleParser(expr, language, { positions: true });
+			expect(tree[0]).to.deep.equal({ type: 'text', value: 'a ', start: 0, end: 2, line: 1, column: 1 });
+			expect(_.pick(tree[1], 'type', 'start', 'end', 'line', 'column')).to.deep.equal({
+				type: 'any', start: 2, end: 7, line: 1, column: 3
+			});
+			expect(tree[1].value[1]).to.deep.equal({ type: 'entity', value: null, start: 5, end: 6, line: 2, column: 1 });
+			expect(tree[2]).to.deep.equal({ type: 'entity', value: null, start: 7, end: 8, line: 2, column: 3 });
+		});
+
+		it('Records locations in compiled languages', function () {
+			expect(simpleParser.compile(language, { positions: true })(expr))
+				.to.deep.equal(simpleParser(expr, language, { positions: true }));
+		});
+
+		it('Records locations of unescaped text in the expression', function () {
+			var tree = simpleParser('\\(x\\)(y)', language, { positions: true, unescape: true });
+			expect(_.pick(tree[0], 'value', 'start', 'end')).to.deep.equal({ value: '(x)', start: 0, end: 5 });
+			expect(tree[1].start).to.equal(5);
+		});
+
+	});
+
+	describe('Escapes', function () {
+
+		var languageBuilder = require('../util/language-builder');
+		var spec = {
+			$root: 'text',
+			text: ['group', 'verbatim', 'dash'],
+			group: { start: '(', end: ')', subgroups: ['dash'] },
+			verbatim: { start: '<', end: '>', subgroups: [], escape: null },
+			dash: { entity: '-' }
+		};
+		var escapes = languageBuilder(spec);
+		var expr = 'a\\(b (c\\)d-) <x\\y-(> \\\\';
+
+		it('Disables escaping in groups with a null escape', function () {
+			var tree = simpleParser(expr, escapes);
+			expect(tree[3].value).to.deep.equal([{ type: 'text', value: 'x\\y-(' }]);
+		});
+
+		it('Uses the escape character of the language', function () {
+			var language = languageBuilder(spec, { extra: { escape: '~' } });
+			expect(simpleParser('a~(b\\(c)', language)).to.deep.equal([
+				{ type: 'text', value: 'a~(b\\' },
+				{ type: 'group', value: [{ type: 'text', value: 'c' }] }
+			]);
+		});
+
+		it('Removes escape characters with the "unescape" option', function () {
+			var tree = simpleParser(expr, escapes, { unescape: true });
+			expect(tree[0].value).to.equal('a(b ');
+			expect(tree[1].value[0].value).to.equal('c)d');
+			expect(tree[4].value).to.equal(' \\');
+			expect(simpleParser.compile(escapes, { unescape: true })(expr)).to.deep.equal(tree);
+		});
+
+		it('Re-escapes text when unparsing', function () {
+			[false, true].forEach(function (unescape) {
+				var options = { unescape: unescape };
+				var tree = simpleParser(expr, escapes, options);
+				var unparsed = simpleParser.unparse(tree, escapes, options);
+				expect(simpleParser(unparsed, escapes, options)).to.deep.equal(tree);
+			});
+			expect(simpleParser.unparse([{ type: 'text', value: 'a(b)-' }], escapes))
+				.to.equal('a\\(b)\\-');
+		});
+
+		it('Fails to unparse markers in groups without escaping', function () {
+			expect(function () {
+				simpleParser.unparse([{ type: 'verbatim', value: [{ type: 'text', value: 'a>b' }] }], escapes);
+			}).to.throw(Error);
+		});
+
+	});
+
+	describe('Multi-character and regular expression markers', function () {
+
+		var languageBuilder = require('../util/language-builder');
+		var spec = {
+			$root: 'text',
+			text: ['mustache', 'comment', 'section'],
+			mustache: { start: '{{', end: '}}', subgroups: ['pipe'] },
+			comment: { start: '{{!', end: '}}', subgroups: [] },
+			section: { start: /\{%\s*/, end: /\s*%\}/, subgroups: ['pipe'] },
+			pipe: { entity: '|' }
+		};
+		var mustacheSpec = _.assign(_.omit(spec, 'section'), { text: ['mustache', 'comment'] });
+		var mustache = languageBuilder(mustacheSpec);
+		var expr = 'a {{ x | y }} {{! z }} { b } }}';
+
+		it('Parses multi-character markers, longest match first', function () {
+			var tree = simpleParser(expr, mustache);
+			expect(_.pluck(tree, 'type')).to.deep.equal(['text', 'mustache', 'text', 'comment', 'text']);
+			expect(_.pluck(tree[1].value, 'type')).to.deep.equal(['text', 'pipe', 'text']);
+			expect(tree[3].value).to.deep.equal([{ type: 'text', value: ' z ' }]);
+			expect(tree[4].value).to.equal(' { b } }}');
+			expect(simpleParser.unparse(tree, mustache)).to.equal(expr);
+		});
+
+		it('Parses regular expression markers', function () {
+			var language = languageBuilder(spec);
+			var tree = simpleParser('{%  a|b %}', language);
+			expect(tree).to.deep.equal([{ type: 'section', value: [
+				{ type: 'text', value: 'a' },
+				{ type: 'pipe', value: null },
+				{ type: 'text', value: 'b' }
+			] }]);
+		});
+
+		it('Parses markers generated by the language builder', function () {
+			var language = languageBuilder(mustacheSpec, { parseMarkers: true });
+			var tree = simpleParser(expr, language);
+			expect(tree).to.deep.equal(simpleParser(expr, mustache));
+			expect(simpleParser.unparse(tree, language)).to.equal(expr);
+		});
+
+		it('Reports the unmatched marker', function () {
+			expect(function () { simpleParser('x {{ y', mustache); }).to.throw(/unmatched «{{» at position 2/);
+		});
+
+		it('Compiles languages with these markers', function () {
+			var language = languageBuilder(spec);
+			var parse = simpleParser.compile(language);
+			[expr, 'a {%b|c%} d', '{{!{{ }}'].forEach(function (expr) {
+				expect(parse(expr)).to.deep.equal(simpleParser(expr, language));
+			});
+		});
+
+	});
+
+	describe('Compiled languages', function () {
+
+		var parse = simpleParser.compile(language);
+
+		var exprs = [
+			'text block',
+			'(1-2-{3}-[4])-5-[6]-{7-[8-{9}]-(A)}',
+			'({[]})',
+			'{[-{(x)}]}',
+			'a\\(b\\-) {c\\}}'
+		];
+
+		it('Produce the same parse trees as the simple parser', function () {
+			exprs.forEach(function (expr) {
+				expect(parse(expr)).to.deep.equal(simpleParser(expr, language));
+			});
+		});
+
+		it('Throw the same errors as the simple parser', function () {
+			var error;
+			try {
+				parse('{x (y');
+			} catch (e) {
+				error = e;
+			}
+			expect(error).to.be.an.instanceof(ParseError);
+			expect(error.position).to.equal(5);
+			expect(error.expected).to.deep.equal(['any']);
+			expect(error.message).to.contain('position 3');
+			expect(function () { parse('{[}]'); }).to.throw(ParseError);
+		});
+
+	});
+
+	describe('Performance', function () {
+
+		var comprehensionLanguage = require('../languages/comprehension');
+		var template = require('../languages/list');
+		var repeat = 500;
+
+		this.timeout(10000);
+
+		it('Compiled language parses the list template like the simple parser, ' +
+			'but faster (averaging over ' + repeat + ' runs)', function () {
+
+			var parse = simpleParser.compile(comprehensionLanguage);
+
+			expect(parse(template)).to.deep.equal(simpleParser(template, comprehensionLanguage));
+			expect(simpleParser.compile(comprehensionLanguage, { positions: true })(template))
+				.to.deep.equal(simpleParser(template, comprehensionLanguage, { positions: true }));
+
+			var simple = time(function () {
+				simpleParser(template, comprehensionLanguage);
+			});
+			var compiled = time(function () {
+				parse(template);
+			});
+
+			expect(compiled).to.be.below(simple);
+
+		});
+
+		function time(fn) {
+			/* Warm up */
+			fn();
+			var start = new Date().getTime();
+			for (var i = 0; i < repeat; i++) {
+				fn();
+			}
+			return (new Date().getTime() - start) / repeat;
+		}
+
+	});
+
 });
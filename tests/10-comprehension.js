@@ -5,6 +5,7 @@ var expect = chai.expect;
 require('blanket');
 
 var comprehensionParser = require('../parsers/comprehension');
+var ParseError = require('../util/errors').ParseError;
 
 /**
  * @name comprehensionParserTest
@@ -266,4 +267,361 @@ describe('Comprehension parser', function () {
 
 	});
 
+	describe('Named-group compilation', function () {
+
+		var comp = '[{select} as] {label} for [({key}, {value})|{value}] in {source}';
+
+		it('Produces the same captures as the numbered compilation', function () {
+			var named = comprehensionParser(comp, { namedGroups: true });
+			var numbered = comprehensionParser(comp);
+			[
+				'item.id as item.name for item in items',
+				'label for (key, value) in object',
+				'{[ a + b ]} for x in {[ f(1, 2) ]}'
+			].forEach(function (expr) {
+				expect(named(expr)).to.deep.equal(numbered(expr));
+			});
+			expect(named('not valid')).to.equal(undefined);
+		});
+
+		it('Uses named groups', function () {
+			var parser = comprehensionParser(comp, { namedGroups: true });
+			expect(parser.parser.regex.source).to.contain('(?<');
+			expect(parser.parser.matchMaps.value.length).to.equal(4);
+		});
+
+		it('Reports the position of each capture', function () {
+			var parser = comprehensionParser(comp, { namedGroups: true });
+			var expr = 'item.id as {[ a b ]} for (k, v) in items';
+			var result = parser.match(expr);
+			expect(result.captures.label).to.equal(' a b ');
+			expect(result.positions).to.deep.equal({
+				select: { start: 0, end: 7 },
+				label: { start: 13, end: 18 },
+				key: { start: 26, end: 27 },
+				value: { start: 29, end: 30 },
+				source: { start: 35, end: 40 }
+			});
+			expect(parser.match('x for y in z').positions.value).to.deep.equal({ start: 6, end: 7 });
+		});
+
+		it('Supports capture names which are not identifiers', function () {
+			var parser = comprehensionParser('{first-name} {last name}', { namedGroups: true });
+			expect(parser.match('Ada Lovelace')).to.deep.equal({
+				captures: { 'first-name': 'Ada', 'last name': 'Lovelace' },
+				positions: { 'first-name': { start: 0, end: 3 }, 'last name': { start: 4, end: 12 } }
+			});
+		});
+
+		it('Has no positions in numbered mode', function () {
+			expect(comprehensionParser('{a}').match('x')).to.deep.equal({ captures: { a: 'x' }, positions: null });
+		});
+
+	});
+
+	describe('Typed captures', function () {
+
+		it('Converts numbers', function () {
+			var parser = comprehensionParser('limit {count:number}');
+			expect(parser('limit 10').count).to.equal(10);
+			expect(parser('limit -2.5e1').count).to.equal(-25);
+			expect(parser('limit ten')).to.equal(undefined);
+		});
+
+		it('Matches identifiers', function () {
+			var parser = comprehensionParser('for {name:identifier} in {source}');
+			expect(parser('for $item_1 in items').name).to.equal('$item_1');
+			expect(parser('for item.x in items')).to.equal(undefined);
+		});
+
+		it('Matches literal alternatives', function () {
+			var parser = comprehensionParser('order by {key} [{dir:asc|desc}]');
+			expect(parser('order by name DESC').dir).to.equal('desc');
+			expect(parser('order by name').dir).to.equal(undefined);
+			expect(parser('order by name descending')).to.equal(undefined);
+		});
+
+		it('Validates expressions with the arithmetic parser', function () {
+			var parser = comprehensionParser('where {predicate:expression}');
+			expect(parser('where {[ a.b > 1 && c ]}').predicate).to.equal(' a.b > 1 && c ');
+			expect(parser('where {[ a.b > ]}')).to.equal(undefined);
+		});
+
+		it('Supports types registered globally or per parser', function () {
+			comprehensionParser.registerType('upper', {
+				pattern: /[a-z]+/,
+				convert: function (value) { return value.toUpperCase(); }
+			});
+			var parser = comprehensionParser('{a:upper} {b:even}', {
+				types: {
+					even: function (value) { return +value % 2 === 0; }
+				}
+			});
+			expect(parser('abc 42')).to.deep.equal({ a: 'ABC', b: '42' });
+			expect(parser('abc 43')).to.equal(undefined);
+			expect(parser('a1 42')).to.equal(undefined);
+		});
+
+		it('Works with named groups', function () {
+			var parser = comprehensionParser('{n:number} {dir:asc|desc}', { namedGroups: true });
+			expect(parser.match('12 asc')).to.deep.equal({
+				captures: { n: 12, dir: 'asc' },
+				positions: { n: { start: 0, end: 2 }, dir: { start: 3, end: 6 } }
+			});
+		});
+
+		it('Throws on unknown types', function () {
+			expect(function () { comprehensionParser('{a:nosuchtype}'); }).to.throw(Error);
+		});
+
+	});
+
+	describe('Repeated captures', function () {
+
+		it('Returns arrays for captures in repetitions', function () {
+			var parser = comprehensionParser('select {col}[, {more}]* from {table}');
+			expect(parser('select a, b, {[ c + d ]} from t')).to.deep.equal({
+				col: 'a',
+				more: ['b', ' c + d '],
+				table: 't'
+			});
+			expect(parser('select a from t').more).to.deep.equal([]);
+		});
+
+		it('Requires at least one repetition with "+"', function () {
+			var parser = comprehensionParser('sum [{n:number}]+(,)');
+			expect(parser('sum 1, 2 ,3').n).to.deep.equal([1, 2, 3]);
+			expect(parser('sum 4').n).to.deep.equal([4]);
+			expect(parser('sum')).to.equal(undefined);
+			expect(parser('sum 1, x')).to.equal(undefined);
+		});
+
+		it('Supports separators and several captures per repetition', function () {
+			var parser = comprehensionParser('set [{key} = {value}]+(;)');
+			expect(parser('set a = 1; b = 2 ;c = 3')).to.deep.equal({
+				key: ['a', 'b', 'c'],
+				value: ['1', '2', '3']
+			});
+		});
+
+		it('Supports nested repetitions', function () {
+			var parser = comprehensionParser('[[{name}]+(,) in {source}]*(;)');
+			expect(parser('x , y in z; w in v')).to.deep.equal({
+				name: [['x', 'y'], ['w']],
+				source: ['z', 'v']
+			});
+		});
+
+		it('Reports positions of repeated captures', function () {
+			var parser = comprehensionParser('select {col}[, {more}]* from {table}', { namedGroups: true });
+			expect(parser.match('select a, bb, c from t').positions.more).to.deep.equal([
+				{ start: 10, end: 12 },
+				{ start: 14, end: 15 }
+			]);
+		});
+
+		it('Matches repetitions with no items', function () {
+			var parser = comprehensionParser('select [{col}]* from {table}');
+			expect(parser('select from t')).to.deep.equal({ col: [], table: 't' });
+			expect(parser('select a b from t')).to.deep.equal({ col: ['a', 'b'], table: 't' });
+			expect(parser('selectfrom t')).to.equal(undefined);
+		});
+
+		it('Round-trips repetitions through the unparser', function () {
+			var parser = comprehensionParser('select [{col}]*(,) from {table}');
+			[[], ['a'], ['a', 'b']].forEach(function (col) {
+				var captures = { col: col, table: 't' };
+				expect(parser(parser.unparse(captures))).to.deep.equal(captures);
+			});
+		});
+
+		it('Does not include separators in bare captures', function () {
+			var parser = comprehensionParser('select [{col}]+(,) from {table}');
+			expect(parser('select a,b from t').col).to.deep.equal(['a', 'b']);
+			expect(parser('select a , b,c from t').col).to.deep.equal(['a', 'b', 'c']);
+			expect(parser('select {[ f(a, b) ]},c from t').col).to.deep.equal([' f(a, b) ', 'c']);
+		});
+
+		it('Merges a capture next to a repetition of it into its values', function () {
+			var template = 'select {col}[, {col}]* from {table}';
+			var parser = comprehensionParser(template, { namedGroups: true });
+			expect(parser('select a, b, c from t')).to.deep.equal({ col: ['a', 'b', 'c'], table: 't' });
+			expect(parser('select a from t')).to.deep.equal({ col: ['a'], table: 't' });
+			expect(parser.match('select a, bb from t').positions.col).to.deep.equal([
+				{ start: 7, end: 8 },
+				{ start: 10, end: 12 }
+			]);
+			expect(parser.unparse({ col: ['a', 'b', 'c'], table: 't' })).to.equal('select a, b, c from t');
+			expect(comprehensionParser('[{a} ]*{a}.')('x y z.')).to.deep.equal({ a: ['x', 'y', 'z'] });
+		});
+
+		it('Treats other asterisks and plus signs as text', function () {
+			expect(comprehensionParser('select * from {table}')('select * from t')).to.deep.equal({ table: 't' });
+			expect(comprehensionParser('a+b {x}')('a+b y')).to.deep.equal({ x: 'y' });
+			expect(comprehensionParser('a+b {x}')('aab y')).to.equal(undefined);
+		});
+
+	});
+
+	describe('Matching options', function () {
+
+		var template = '{label} for [({key}, {value})|{value}] in {source}';
+
+		it('Matches keywords case-insensitively by default', function () {
+			expect(comprehensionParser('{a} AS {b}')('x as y')).to.deep.equal({ a: 'x', b: 'y' });
+		});
+
+		it('Matches keywords case-sensitively with "caseSensitive"', function () {
+			var parser = comprehensionParser('{a} AS {b}', { caseSensitive: true });
+			expect(parser('x AS y')).to.deep.equal({ a: 'x', b: 'y' });
+			expect(parser('x as y')).to.equal(undefined);
+		});
+
+		it('Compiles in unicode mode with "unicode"', function () {
+			var parser = comprehensionParser('{a} → {b:identifier}', { unicode: true });
+			expect(parser.parser.regex.flags).to.contain('u');
+			expect(parser('{[😀]} → y')).to.deep.equal({ a: '😀', b: 'y' });
+		});
+
+		it('Requires white-space by default', function () {
+			var parser = comprehensionParser(template);
+			expect(parser('a for (k, v) in s')).to.have.property('key', 'k');
+			expect(parser('a for (k,v) in s')).to.equal(undefined);
+		});
+
+		it('Allows missing white-space with the "optional" rule', function () {
+			var parser = comprehensionParser(template, { whitespaceRule: 'optional' });
+			expect(parser('a for(k,v)in s')).to.have.property('key', 'k');
+			expect(parser('a for ( k , v ) in s')).to.have.property('value', 'v');
+		});
+
+		it('Allows missing white-space next to punctuation with the "punctuation" rule', function () {
+			var parser = comprehensionParser(template, { whitespaceRule: 'punctuation' });
+			expect(parser('a for (k,v) in s')).to.have.property('key', 'k');
+			expect(parser('a for x in s')).to.have.property('value', 'x');
+			expect(parser('afor x in s')).to.equal(undefined);
+		});
+
+		it('Throws on unknown white-space rules', function () {
+			expect(function () { comprehensionParser(template, { whitespaceRule: 'sometimes' }); }).to.throw(Error);
+		});
+
+	});
+
+	describe('Unparsing', function () {
+
+		var template = '[{select} as] {label} for [({key}, {value})|{value}] in {source}|{source}';
+
+		it('Renders the first choice whose captures are present', function () {
+			expect(comprehensionParser.unparse(template, { label: 'v.name', value: 'v', source: 'list' }))
+				.to.equal('v.name for v in list');
+			expect(comprehensionParser.unparse(template, { label: 'k', key: 'k', value: 'v', source: 'obj' }))
+				.to.equal('k for (k, v) in obj');
+			expect(comprehensionParser.unparse(template, { source: 'list' })).to.equal('list');
+		});
+
+		it('Brackets captures containing white-space', function () {
+			expect(comprehensionParser.unparse(template, { select: 'a + b', label: ' c ', value: 'v', source: 's' }))
+				.to.equal('{[ a + b ]} as c for v in s');
+		});
+
+		it('Throws if required captures are missing', function () {
+			expect(function () { comprehensionParser.unparse(template, { label: 'x' }); }).to.throw(Error);
+			expect(function () { comprehensionParser.unparse('sum [{n:number}]+(,)', { n: [] }); }).to.throw(Error);
+		});
+
+		it('Validates typed captures and uses the spelling in the template', function () {
+			var parser = comprehensionParser('order by {key} [{dir:asc|desc}] [limit {n:number}]');
+			expect(parser.unparse({ key: 'x', dir: 'DESC', n: 5 })).to.equal('order by x desc limit 5');
+			expect(parser.unparse({ key: 'x', dir: 'sideways', n: 'many' })).to.equal('order by x');
+		});
+
+		it('Round-trips parsed expressions', function () {
+			var parser = comprehensionParser('select {col}[, {more}]* from {table}');
+			var expr = 'select   a, b,   {[ c + d ]}  from t';
+			var normalized = parser.unparse(parser(expr));
+			expect(normalized).to.equal('select a, b, {[ c + d ]} from t');
+			expect(parser(normalized)).to.deep.equal(parser(expr));
+		});
+
+	});
+
+	describe('Template errors', function () {
+
+		it('Cite the location of the problem in the template', function () {
+			var error;
+			try {
+				comprehensionParser('select {col}\n  from {table:nosuchtype}');
+			} catch (e) {
+				error = e;
+			}
+			expect(error).to.be.an.instanceof(ParseError);
+			expect(error.line).to.equal(2);
+			expect(error.column).to.equal(8);
+			expect(error.text).to.equal('{table:nosuchtype}');
+		});
+
+		it('Treat escaped characters in templates as text', function () {
+			expect(comprehensionParser('a \\[{x}\\]')('a [y]')).to.deep.equal({ x: 'y' });
+		});
+
+	});
+
+	describe('Linting', function () {
+
+		var lint = comprehensionParser.lint;
+
+		it('Accepts the list language', function () {
+			expect(lint(require('../languages/list'))).to.deep.equal([]);
+		});
+
+		it('Reports unbalanced brackets', function () {
+			expect(lint('{a}] [{b}')).to.deep.equal([
+				{ code: 'unbalanced', message: 'Unmatched "]"', start: 3, end: 4 },
+				{ code: 'unbalanced', message: 'Unclosed "["', start: 5, end: 6 }
+			]);
+		});
+
+		it('Reports unreachable choices', function () {
+			var issues = lint('x [{a}|{b:number}|y]');
+			expect(issues).to.have.length(1);
+			expect(issues[0]).to.have.property('code', 'unreachable-choice');
+			expect(issues[0]).to.have.property('start', 7);
+			expect(issues[0]).to.have.property('end', 17);
+		});
+
+		it('Reports captures reused with conflicting shapes', function () {
+			expect(lint('{a} [{a}]')[0]).to.have.property('start', 5);
+			expect(lint('{a:number} [x {a}]')[0])
+				.to.have.property('message', 'Capture "a" is used with different types');
+			expect(lint('[{a} in {b}]* | {a}')[0])
+				.to.have.property('message', 'Capture "a" is used with different repetitions');
+			expect(lint('[x {a}|y {a}]')).to.deep.equal([]);
+			expect(lint('select {col}[, {col}]* from {table}')).to.deep.equal([]);
+		});
+
+		it('Reports captures which are only bound by some choices', function () {
+			expect(lint('[{a} and {b}|{a}]')).to.deep.equal([{
+				code: 'partial-capture',
+				message: 'Capture "b" is only bound by some choices, another choice matches the start of this one',
+				start: 9,
+				end: 12
+			}]);
+			expect(lint('[{a}|{a} and {b}]')[0]).to.have.property('start', 13);
+			expect(lint('[({key}, {value})|{value}] in {source}')).to.deep.equal([]);
+		});
+
+		it('Reports optional groups which may swallow following captures', function () {
+			expect(lint('{a} [{b}] {c}')).to.deep.equal([{
+				code: 'greedy-optional',
+				message: 'Optional group may capture the text of the following capture "c"',
+				start: 4,
+				end: 9
+			}]);
+			expect(lint('[{a}]+(,) {b}')[0]).to.have.property('end', 9);
+			expect(lint('[{a} as] {b}')).to.deep.equal([]);
+		});
+
+	});
+
 });
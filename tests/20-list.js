@@ -99,6 +99,9 @@ describe('List comprehension parser', function () {
 		test('value as key group by value.group for (key, value) in object track by value.id',
 			'value as key group by value.group for (key, value) in object track by value.id');
 
+		test('item.name for item in items where {[ item.price < 10 ]} order by item.name desc limit 5 offset 10',
+			'item.name as item.name for item in items where {[ item.price < 10 ]} order by item.name desc limit 5 offset 10 track by item.name');
+
 		function test(format, result) {
 			/*
 			 * Eval hack to make the code displayed on the test page look
@@ -126,6 +129,11 @@ describe('List comprehension parser', function () {
 			value: 'country',
 			source: 'data.countries',
 			key: undefined,
+			where: undefined,
+			order: undefined,
+			direction: undefined,
+			limit: undefined,
+			offset: undefined,
 			memo: undefined
 		};
 
@@ -147,6 +155,354 @@ describe('List comprehension parser', function () {
 
 	});
 
+	describe('Binding', function () {
+
+		var expr = 'c.name group by c.continent for c in data track by c.code';
+
+		function countries() {
+			return [
+				{ code: 'FR', name: 'France', continent: 'Europe' },
+				{ code: 'JP', name: 'Japan', continent: 'Asia' },
+				{ code: 'DE', name: 'Germany', continent: 'Europe' }
+			];
+		}
+
+		it('Returns a synchronous getter when no scope is given', function () {
+			var items = listParser(expr)({ data: countries() });
+			expect(_.pluck(items, 'label')).to.deep.equal(['France', 'Japan', 'Germany']);
+		});
+
+		it('Refreshes and calls onchange with items, groups and diff', function () {
+			var calls = [];
+			var scope = { data: countries() };
+			var binding = listParser(expr, scope, function (items, grouped, diff) {
+				calls.push({ items: items, grouped: grouped, diff: diff });
+			});
+			return binding.refresh().then(function (items) {
+				expect(_.pluck(items, 'memo')).to.deep.equal(['FR', 'JP', 'DE']);
+				expect(calls.length).to.equal(1);
+				expect(_.pluck(calls[0].grouped, 'group')).to.deep.equal(['Europe', 'Asia']);
+				expect(_.pluck(calls[0].grouped[0].items, 'label')).to.deep.equal(['France', 'Germany']);
+				expect(_.pluck(calls[0].diff.added, 'memo')).to.deep.equal(['FR', 'JP', 'DE']);
+				scope.data = [scope.data[2], scope.data[0], { code: 'IT', name: 'Italy', continent: 'Europe' }];
+				return binding.refresh();
+			}).then(function () {
+				var diff = calls[1].diff;
+				expect(_.pluck(diff.added, 'memo')).to.deep.equal(['IT']);
+				expect(_.pluck(diff.removed, 'memo')).to.deep.equal(['JP']);
+				expect(diff.moved.map(function (move) {
+					return [move.item.memo, move.from, move.to];
+				})).to.deep.equal([['DE', 2, 0]]);
+			});
+		});
+
+		it('Reports only the items which actually moved', function () {
+			var diffs = [];
+			var scope = { data: countries() };
+			var binding = listParser(expr, scope, function (items, grouped, diff) {
+				diffs.push(diff);
+			});
+			function moves(diff) {
+				return diff.moved.map(function (move) {
+					return [move.item.memo, move.from, move.to];
+				});
+			}
+			return binding.refresh().then(function () {
+				/* Rotate by one */
+				scope.data = scope.data.slice(1).concat(scope.data.slice(0, 1));
+				return binding.refresh();
+			}).then(function () {
+				expect(moves(diffs[1])).to.deep.equal([['FR', 0, 2]]);
+				scope.data = _.clone(scope.data).reverse();
+				return binding.refresh();
+			}).then(function () {
+				expect(moves(diffs[2])).to.deep.equal([['FR', 2, 0], ['DE', 1, 1]]);
+				return binding.refresh();
+			}).then(function () {
+				expect(diffs[3].moved).to.deep.equal([]);
+			});
+		});
+
+		it('Returns a rejected promise when the source throws', function () {
+			var binding = listParser(expr, {
+				get data() { throw new Error('No data'); }
+			});
+			var result;
+			expect(function () { result = binding.refresh(); }).to.not.throw();
+			return result.then(function () {
+				throw new Error('Expected a rejection');
+			}, function (error) {
+				expect(error.message).to.equal('No data');
+			});
+		});
+
+		it('Resolves promise sources', function () {
+			var scope = { data: Promise.resolve(countries()) };
+			return listParser(expr, scope).refresh().then(function (items) {
+				expect(items.length).to.equal(3);
+			});
+		});
+
+		it('Re-executes promise-returning functions on requery', function () {
+			var count = 0;
+			var scope = {
+				data: function () {
+					count++;
+					return Promise.resolve(countries().slice(0, count));
+				}
+			};
+			var binding = listParser(expr, scope);
+			return binding.refresh().then(function (items) {
+				expect(items.length).to.equal(1);
+				return binding.requery();
+			}).then(function (items) {
+				expect(items.length).to.equal(2);
+				expect(count).to.equal(2);
+			});
+		});
+
+		it('Passes the group order to onchange', function () {
+			var groups;
+			var binding = listParser(expr, { data: countries() }, function (items, grouped) {
+				groups = _.pluck(grouped, 'group');
+			}, { groupOrder: ['Asia'] });
+			return binding.refresh().then(function () {
+				expect(groups).to.deep.equal(['Asia', 'Europe']);
+			});
+		});
+
+		it('Returns the previous result on requery of a plain source', function () {
+			var scope = { data: countries() };
+			var binding = listParser(expr, scope);
+			return binding.refresh().then(function (items) {
+				scope.data = [];
+				return binding.requery().then(function (again) {
+					expect(again).to.equal(items);
+				});
+			});
+		});
+
+		it('Discards the results of superseded refreshes', function () {
+			var resolveFirst;
+			var scope = { data: new Promise(function (resolve) { resolveFirst = resolve; }) };
+			var labels = [];
+			var binding = listParser(expr, scope, function (items) {
+				labels.push(_.pluck(items, 'label'));
+			});
+			var first = binding.refresh();
+			scope.data = countries().slice(1, 2);
+			var second = binding.refresh();
+			resolveFirst(countries());
+			return Promise.all([first, second]).then(function (results) {
+				expect(results[0]).to.equal(results[1]);
+				expect(labels).to.deep.equal([['Japan']]);
+			});
+		});
+
+	});
+
+	describe('Where, order by and limit clauses', function () {
+
+		var scope = {
+			minimum: 2,
+			products: [
+				{ name: 'Bolt', price: 3, category: 'b' },
+				{ name: 'Axle', price: 1, category: 'a' },
+				{ name: 'Cog', price: 2, category: 'b' },
+				{ name: 'Dial', price: 5, category: 'a' }
+			]
+		};
+
+		function labels(expr) {
+			return _.pluck(listParser(expr)(scope), 'label');
+		}
+
+		it('Parses the clauses', function () {
+			var comp = listParser.test.parse('p.name for p in products where p.active order by p.name desc limit 10 offset 20 track by p.id');
+			expect(_.pick(comp, 'where', 'order', 'direction', 'limit', 'offset', 'memo')).to.deep.equal({
+				where: 'p.active',
+				order: 'p.name',
+				direction: 'desc',
+				limit: '10',
+				offset: '20',
+				memo: 'p.id'
+			});
+		});
+
+		it('Filters with "where"', function () {
+			expect(labels('p.name for p in products where {[ p.price >= minimum ]}'))
+				.to.deep.equal(['Bolt', 'Cog', 'Dial']);
+			expect(labels('key for (key, p) in products where key')).to.deep.equal([1, 2, 3]);
+		});
+
+		it('Sorts with "order by"', function () {
+			expect(labels('p.name for p in products order by p.price')).to.deep.equal(['Axle', 'Cog', 'Bolt', 'Dial']);
+			expect(labels('p.name for p in products order by p.price DESC')).to.deep.equal(['Dial', 'Bolt', 'Cog', 'Axle']);
+			expect(labels('p.name for p in products order by {[ p.category, p.price desc ]}'))
+				.to.deep.equal(['Dial', 'Axle', 'Bolt', 'Cog']);
+		});
+
+		it('Slices with "limit" and "offset"', function () {
+			expect(labels('p.name for p in products limit 2')).to.deep.equal(['Bolt', 'Axle']);
+			expect(labels('p.name for p in products limit minimum offset 1')).to.deep.equal(['Axle', 'Cog']);
+		});
+
+		it('Applies the clauses in order and re-indexes the items', function () {
+			var items = listParser('p.name for p in products where {[ p.price > 1 ]} order by p.name desc limit 2 offset 1')(scope);
+			expect(_.pluck(items, 'label')).to.deep.equal(['Cog', 'Bolt']);
+			expect(_.pluck(items, 'index')).to.deep.equal([0, 1]);
+			expect(_.pluck(items, 'key')).to.deep.equal([2, 0]);
+		});
+
+		it('Rejects invalid sort directions', function () {
+			expect(function () { listParser('p for p in products order by p.name sideways'); }).to.throw(Error);
+		});
+
+	});
+
+	describe('Reverse mapping', function () {
+
+		var data = [
+			{ id: 1, code: 'FR', name: 'France' },
+			{ id: 2, code: 'JP', name: 'Japan' },
+			{ id: 3, code: 'DE', name: 'Germany' }
+		];
+
+		it('Finds items by select value and by memo', function () {
+			var getItems = listParser('c.code as c.name for c in countries track by c.id');
+			var scope = { countries: data };
+			expect(getItems.lookupBySelect(scope, 'JP').label).to.equal('Japan');
+			expect(getItems.lookupByMemo(scope, 3).value).to.equal(data[2]);
+			expect(getItems.lookupBySelect(scope, 'XX')).to.equal(undefined);
+			expect(getItems.lookupByMemo(scope, 'FR')).to.equal(undefined);
+		});
+
+		it('Re-indexes when the data source changes', function () {
+			var getItems = listParser('c.name for c in countries track by c.code');
+			var scope = { countries: data.slice(0, 1) };
+			expect(getItems.lookupByMemo(scope, 'DE')).to.equal(undefined);
+			scope.countries = data;
+			expect(getItems.lookupByMemo(scope, 'DE').label).to.equal('Germany');
+		});
+
+		it('Writes values back via the select expression', function () {
+			var getItems = listParser('c.selected as c.name for c in countries track by c.id');
+			var scope = { countries: _.map(data, _.clone) };
+			getItems.setModel(scope, getItems.lookupByMemo(scope, 2), true);
+			expect(scope.countries[1].selected).to.equal(true);
+			expect(_.pluck(getItems(scope), 'select')).to.deep.equal([undefined, true, undefined]);
+		});
+
+		it('Looks up items from the last refresh of a binding', function () {
+			var scope = { countries: _.map(data, _.clone) };
+			var binding = listParser('c.selected as c.name for c in countries track by c.code', scope);
+			expect(binding.lookupByMemo('FR')).to.equal(undefined);
+			return binding.refresh().then(function () {
+				var item = binding.lookupByMemo('FR');
+				expect(item.label).to.equal('France');
+				binding.setModel(item, 'yes');
+				expect(scope.countries[0].selected).to.equal('yes');
+			});
+		});
+
+	});
+
+	describe('Custom list parsers', function () {
+
+		var rows = [{ id: 7, name: 'Seven' }, { id: 9, name: 'Nine' }];
+
+		it('Uses custom defaults for bare sources', function () {
+			var parser = listParser.create({
+				defaults: { value: 'row', label: 'row.name', select: 'row.id' }
+			});
+			var items = parser('rows')({ rows: rows });
+			expect(_.pluck(items, 'label')).to.deep.equal(['Seven', 'Nine']);
+			expect(_.pluck(items, 'memo')).to.deep.equal([7, 9]);
+			expect(parser.test.fillDefaults('rows')).to.equal('row.id as row.name for row in rows track by row.id');
+			/* The default parser is not affected */
+			expect(listParser.test.fillDefaults('rows')).to.equal('item.value as item.title for item in rows track by item.value');
+		});
+
+		it('Uses a custom template with capture roles', function () {
+			var parser = listParser.create({
+				template: '{label} from {rows} [keyed by {id}]',
+				roles: { rows: 'source', id: 'memo' }
+			});
+			expect(parser.test.parse('item.name from rows keyed by item.id')).to.deep.equal({
+				label: 'item.name',
+				source: 'rows',
+				memo: 'item.id'
+			});
+			var getItems = parser('item.name from rows keyed by item.id');
+			expect(getItems.lookupByMemo({ rows: rows }, 9).label).to.equal('Nine');
+		});
+
+		it('Creates a parser like the default one when given no config', function () {
+			var parser = listParser.create();
+			var scope = { items: [{ title: 'A', value: 1 }, { title: 'B', value: 2 }] };
+			expect(parser('items')(scope)).to.deep.equal(listParser('items')(scope));
+			expect(parser.test.fillDefaults('items')).to.equal(listParser.test.fillDefaults('items'));
+			expect(parser.create).to.equal(listParser.create);
+		});
+
+		it('Rejects unknown roles', function () {
+			expect(function () {
+				listParser.create({ template: '{a} in {b}', roles: { a: 'colour' } });
+			}).to.throw(Error);
+		});
+
+	});
+
+	describe('Grouped output', function () {
+
+		var items = [
+			{ name: 'Carrot', category: 'Vegetable' },
+			{ name: 'Apple', category: 'Fruit' },
+			{ name: 'Water' },
+			{ name: 'Leek', category: 'Vegetable' },
+			{ name: 'Bread', category: null }
+		];
+
+		var getItems = listParser('item.name group by item.category for item in items');
+
+		function summary(groups) {
+			return groups.map(function (group) {
+				return [group.group, _.pluck(group.items, 'label')];
+			});
+		}
+
+		it('Groups items in order of first appearance', function () {
+			var groups = getItems.grouped({ items: items });
+			expect(summary(groups)).to.deep.equal([
+				[undefined, ['Water', 'Bread']],
+				['Vegetable', ['Carrot', 'Leek']],
+				['Fruit', ['Apple']]
+			]);
+			expect(groups[0].ungrouped).to.equal(true);
+			expect(groups[1].ungrouped).to.equal(undefined);
+		});
+
+		it('Orders groups by an explicit list', function () {
+			var groups = getItems.grouped({ items: items.slice(0, 2).concat([{ name: 'Rice', category: 'Grain' }]) }, {}, ['Fruit']);
+			expect(_.pluck(groups, 'group')).to.deep.equal(['Fruit', 'Vegetable', 'Grain']);
+		});
+
+		it('Orders groups by a comparator', function () {
+			var groups = getItems.grouped({ items: items }, {}, function (a, b) {
+				return a < b ? -1 : a > b ? 1 : 0;
+			});
+			expect(_.pluck(groups, 'group')).to.deep.equal([undefined, 'Fruit', 'Vegetable']);
+		});
+
+		it('Puts every item in the ungrouped bucket if there is no "group by"', function () {
+			var groups = listParser('item.name for item in items').grouped({ items: items });
+			expect(groups.length).to.equal(1);
+			expect(groups[0].ungrouped).to.equal(true);
+			expect(groups[0].items.length).to.equal(5);
+		});
+
+	});
+
 	false && it('Log the regular expression to the console for your personal entertainment', function () {
 		var parser = listParser.test.compile().parser;
 
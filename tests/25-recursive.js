@@ -0,0 +1,138 @@
+var chai = require('chai');
+var should = chai.should();
+var expect = chai.expect;
+
+var _ = require('lodash');
+require('blanket');
+
+var recursiveParser = require('../parsers/recursive');
+var arithmeticLanguage = require('../languages/arithmetic');
+var ParseError = require('../util/errors').ParseError;
+
+/**
+ * @name recursiveParserTest
+ */
+describe('Recursive parser', function () {
+
+	function parse(expr, options) {
+		return recursiveParser(expr, arithmeticLanguage, options);
+	}
+
+	function types(nodes) {
+		return _.pluck(nodes, 'type');
+	}
+
+	it('Parses nested groups', function () {
+		var tree = parse('a.b + (c * d)');
+		expect(types(tree.groups)).to.deep.equal(['identifier', 'operator', 'identifier', 'operator', 'parentheses']);
+		expect(types(tree.groups[4].groups)).to.deep.equal(['identifier', 'operator', 'identifier']);
+	});
+
+	it('Throws on syntax errors by default', function () {
+		expect(function () { parse('a.b + (c *'); }).to.throw(ParseError);
+		expect(function () { parse('a @ b'); }).to.throw(ParseError);
+	});
+
+	describe('Error recovery', function () {
+
+		it('Returns the tree and no diagnostics for valid input', function () {
+			var result = parse('a + b', { recover: true });
+			expect(types(result.tree.groups)).to.deep.equal(['identifier', 'operator', 'identifier']);
+			expect(result.diagnostics).to.deep.equal([]);
+		});
+
+		it('Closes unclosed groups with a "missing" node', function () {
+			var result = parse('a.b + (c *', { recover: true });
+			var group = result.tree.groups[4];
+			expect(group.type).to.equal('parentheses');
+			expect(group.missing).to.equal(true);
+			expect(types(group.groups)).to.deep.equal(['identifier', 'operator', 'missing']);
+			expect(group.groups[2].position).to.equal(10);
+			expect(group.groups[2].term).to.equal('parentheses');
+			expect(result.diagnostics.length).to.equal(1);
+			expect(result.diagnostics[0]).to.be.an.instanceof(ParseError);
+			expect(result.diagnostics[0].position).to.equal(10);
+		});
+
+		it('Closes each of several unclosed groups', function () {
+			var result = parse('f(a[(b', { recover: true });
+			expect(result.diagnostics.length).to.equal(3);
+			var call = result.tree.groups[1];
+			var index = call.groups[1];
+			var parens = index.groups[0];
+			expect(types([call, index, parens])).to.deep.equal(['call', 'index', 'parentheses']);
+			expect(_.last(call.groups).type).to.equal('missing');
+			expect(_.last(index.groups).type).to.equal('missing');
+			expect(_.last(parens.groups).type).to.equal('missing');
+		});
+
+		it('Wraps unmatched text in an "error" node and carries on', function () {
+			var result = parse('a + @@ b', { recover: true });
+			expect(types(result.tree.groups)).to.deep.equal(['identifier', 'operator', 'error', 'identifier']);
+			var error = result.tree.groups[2];
+			expect(error.position).to.equal(4);
+			expect(error.length).to.equal(2);
+			expect(error.content).to.equal('@@');
+			expect(result.diagnostics.length).to.equal(1);
+			expect(result.diagnostics[0].text).to.equal('@@');
+			expect(result.diagnostics[0].expected).to.include('identifier');
+		});
+
+		it('Orders diagnostics by position', function () {
+			var result = parse('(# + [a #', { recover: true });
+			expect(_.pluck(result.diagnostics, 'position')).to.deep.equal([1, 8, 9, 9]);
+		});
+
+	});
+
+	describe('Autocompletion', function () {
+
+		function complete(expr, offset, options) {
+			return recursiveParser.complete(expr, offset, arithmeticLanguage, options);
+		}
+
+		function texts(result, position) {
+			return _(result.candidates).filter({ position: position }).pluck('text').value();
+		}
+
+		it('Suggests values at the start of an expression', function () {
+			var result = complete('', 0);
+			expect(result.terms).to.include('identifier');
+			expect(result.terms).to.include('parentheses');
+			expect(texts(result, 0)).to.include.members(['(', '[', '{', '-', '!']);
+		});
+
+		it('Suggests operators and closing brackets after a value', function () {
+			var result = complete('f(a[1', 5);
+			expect(result.terms).to.include.members(['operator', 'call', 'index']);
+			expect(texts(result, 5)).to.include.members(['+', 'instanceof', '(', ']']);
+			expect(texts(result, 5)).not.to.include(')');
+		});
+
+		it('Completes the token before the offset', function () {
+			var result = complete('a i', 3);
+			expect(texts(result, 2)).to.deep.equal(['instanceof', 'in']);
+			result = complete('a =', 3);
+			expect(texts(result, 2)).to.deep.equal(['===', '==']);
+		});
+
+		it('Only considers the expression up to the offset', function () {
+			expect(texts(complete('(a + b)', 2), 2)).to.include(')');
+			expect(texts(complete('(a + b)', 7), 7)).not.to.include(')');
+		});
+
+		it('Asks the suggest hook for non-literal terms', function () {
+			var calls = [];
+			var result = complete('a + b', 5, {
+				suggest: function (term, context) {
+					calls.push(term);
+					return term === 'identifier' ? ['bar', 'baz', 'c'] : [];
+				}
+			});
+			expect(calls).to.include('identifier');
+			expect(texts(result, 4)).to.deep.equal(['bar', 'baz']);
+		});
+
+	});
+
+});
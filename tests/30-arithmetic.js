@@ -7,135 +7,592 @@ require('blanket');
 
 var arithmetic = require('../parsers/arithmetic');
 var arithmeticLanguage = require('../languages/arithmetic');
+var recursiveParser = require('../parsers/recursive');
+var ParseError = require('../util/errors').ParseError;
+var SecurityError = require('../util/errors').SecurityError;
 
 /**
  * @name arithmeticParserTest
  */
 describe('Arithmetic parser', function () {
 
-	describe('Basic expressions', function() {
+	/* Every test is run against the tree evaluator and the code generator */
+	describe('Tree evaluator', function () {
+		test(arithmetic);
+	});
 
-		it('Built-in constants', function () {
-			expect(arithmetic('true').evaluate({})).to.equal(true);
-			expect(arithmetic('false').evaluate({})).to.equal(false);
-			expect(arithmetic('null').evaluate({})).to.equal(null);
-			expect(arithmetic('undefined').evaluate({})).to.equal(undefined);
-		});
+	describe('Code generator', function () {
+		test(codegen);
 
-		it('Constant expressions', function () {
-			expect(arithmetic('42').evaluate({})).to.equal(42);
-			expect(arithmetic('42.23').evaluate({})).to.equal(42.23);
-			expect(arithmetic('0x42').evaluate({})).to.equal(0x42);
-			expect(arithmetic('"string"').evaluate({})).to.equal("string");
-			expect(arithmetic("'cheese'").evaluate({})).to.equal('cheese');
-			expect(arithmetic('"str\\"ing"').evaluate({})).to.equal("str\"ing");
-			expect(arithmetic("'str\\'ing'").evaluate({})).to.equal('str\'ing');
+		it('Generates a single native function', function () {
+			var evaluator = codegen('a.b[c] + f(1, 2)');
+			expect(evaluator.source).to.be.a('string');
+			expect(evaluator.source).to.not.contain('evaluate(scope)');
 		});
 
-		it('Simple expressions on scope', function () {
-			expect(arithmetic('value').evaluate({ value: 101 })).to.equal(101);
-			expect(arithmetic('value.prop').evaluate({ value: { prop: 102 } })).to.equal(102);
-			expect(arithmetic('value[1]').evaluate({ value: [103, 104, 105] })).to.equal(104);
-			expect(arithmetic('value(106)').evaluate({ value: function (v) { return v; } })).to.equal(106);
+		it('Only guards property access in safe mode', function () {
+			function calls(source) {
+				return source.match(/\$r\d+\(/g).length;
+			}
+			/* One call per symbol lookup, plus one per guarded key, in both evaluate and set */
+			expect(calls(codegen('a[b].c').source)).to.equal(4);
+			expect(calls(codegen('a[b].c', { safe: true }).source)).to.equal(8);
 		});
 
-		it('Compound expressions on scope', function () {
-			expect(arithmetic('value.func(107)').evaluate({ value: { func: function (v) { return 107; } } })).to.equal(107);
-			expect(arithmetic('value[1](108)').evaluate({ value: [function () { return 111; }, function (v) { return v; }] })).to.equal(108);
-			expect(arithmetic('value.func(112)[1]').evaluate({ value: { func: function (v) { return [113, v, 114]; } } })).to.equal(112);
+		it('Does not splice strings or property names into the code', function () {
+			var scope = { obj: {} };
+			var evil = '"]; throw new Error("injected"); ["';
+			expect(codegen('\'' + evil + '\'').evaluate({})).to.equal(evil);
+			expect(codegen('obj[\'' + evil + '\']').evaluate(scope)).to.equal(undefined);
+			codegen('obj[\'' + evil + '\']').set(scope, 1);
+			expect(scope.obj[evil]).to.equal(1);
 		});
 
-		it('Arithmetic', function () {
-			expect(arithmetic('5 + 2').evaluate({})).to.equal(7);
-			expect(arithmetic('5 - 2').evaluate({})).to.equal(3);
-			expect(arithmetic('5 * 2').evaluate({})).to.equal(10);
-			expect(arithmetic('5 / 2').evaluate({})).to.equal(2.5);
-			expect(arithmetic('5 % 2').evaluate({})).to.equal(1);
-			expect(arithmetic('2 - -4').evaluate({})).to.equal(6);
-			expect(arithmetic('2 - +4').evaluate({})).to.equal(-2);
-			expect(arithmetic('3 & 18').evaluate({})).to.equal(2);
-			expect(arithmetic('3 | 18').evaluate({})).to.equal(19);
-			expect(arithmetic('3 ^ 18').evaluate({})).to.equal(17);
-			expect(arithmetic('~63 & 255').evaluate({})).to.equal(192);
+	});
+
+	function codegen(expression, options) {
+		return arithmetic(expression, _.assign({ codegen: true }, options));
+	}
+
+	codegen.registerFilter = arithmetic.registerFilter;
+	codegen.filters = arithmetic.filters;
+	codegen.complete = arithmetic.complete;
+	codegen.dependencies = arithmetic.dependencies;
+
+	function test(arithmetic) {
+
+		describe('Basic expressions', function() {
+
+			it('Built-in constants', function () {
+				expect(arithmetic('true').evaluate({})).to.equal(true);
+				expect(arithmetic('false').evaluate({})).to.equal(false);
+				expect(arithmetic('null').evaluate({})).to.equal(null);
+				expect(arithmetic('undefined').evaluate({})).to.equal(undefined);
+			});
+
+			it('Constant expressions', function () {
+				expect(arithmetic('42').evaluate({})).to.equal(42);
+				expect(arithmetic('42.23').evaluate({})).to.equal(42.23);
+				expect(arithmetic('0x42').evaluate({})).to.equal(0x42);
+				expect(arithmetic('"string"').evaluate({})).to.equal("string");
+				expect(arithmetic("'cheese'").evaluate({})).to.equal('cheese');
+				expect(arithmetic('"str\\"ing"').evaluate({})).to.equal("str\"ing");
+				expect(arithmetic("'str\\'ing'").evaluate({})).to.equal('str\'ing');
+			});
+
+			it('Simple expressions on scope', function () {
+				expect(arithmetic('value').evaluate({ value: 101 })).to.equal(101);
+				expect(arithmetic('value.prop').evaluate({ value: { prop: 102 } })).to.equal(102);
+				expect(arithmetic('value[1]').evaluate({ value: [103, 104, 105] })).to.equal(104);
+				expect(arithmetic('value(106)').evaluate({ value: function (v) { return v; } })).to.equal(106);
+			});
+
+			it('Compound expressions on scope', function () {
+				expect(arithmetic('value.func(107)').evaluate({ value: { func: function (v) { return 107; } } })).to.equal(107);
+				expect(arithmetic('value[1](108)').evaluate({ value: [function () { return 111; }, function (v) { return v; }] })).to.equal(108);
+				expect(arithmetic('value.func(112)[1]').evaluate({ value: { func: function (v) { return [113, v, 114]; } } })).to.equal(112);
+			});
+
+			it('Arithmetic', function () {
+				expect(arithmetic('5 + 2').evaluate({})).to.equal(7);
+				expect(arithmetic('5 - 2').evaluate({})).to.equal(3);
+				expect(arithmetic('5 * 2').evaluate({})).to.equal(10);
+				expect(arithmetic('5 / 2').evaluate({})).to.equal(2.5);
+				expect(arithmetic('5 % 2').evaluate({})).to.equal(1);
+				expect(arithmetic('2 - -4').evaluate({})).to.equal(6);
+				expect(arithmetic('2 - +4').evaluate({})).to.equal(-2);
+				expect(arithmetic('3 & 18').evaluate({})).to.equal(2);
+				expect(arithmetic('3 | 18').evaluate({})).to.equal(19);
+				expect(arithmetic('3 ^ 18').evaluate({})).to.equal(17);
+				expect(arithmetic('~63 & 255').evaluate({})).to.equal(192);
+			});
+
+			it('Boolean logic', function () {
+				expect(arithmetic('!true').evaluate({})).to.equal(false);
+				expect(arithmetic('!false').evaluate({})).to.equal(true);
+				expect(arithmetic('!!true').evaluate({})).to.equal(true);
+				expect(arithmetic('!!false').evaluate({})).to.equal(false);
+				expect(arithmetic('true && true').evaluate({})).to.equal(true);
+				expect(arithmetic('true && false').evaluate({})).to.equal(false);
+				expect(arithmetic('false && true').evaluate({})).to.equal(false);
+				expect(arithmetic('false && false').evaluate({})).to.equal(false);
+				expect(arithmetic('true || true').evaluate({})).to.equal(true);
+				expect(arithmetic('true || false').evaluate({})).to.equal(true);
+				expect(arithmetic('false || true').evaluate({})).to.equal(true);
+				expect(arithmetic('false || false').evaluate({})).to.equal(false);
+			});
+
+			it('Order of operations', function () {
+				expect(arithmetic('true && false || false && true').evaluate({})).to.equal(false);
+				expect(arithmetic('false || false && true || false').evaluate({})).to.equal(false);
+				expect(arithmetic('1 - 1 + 1 + 3 * 4 / 2 * 5').evaluate({})).to.equal(31);
+				expect(arithmetic('((3 + 4) * (7 - 2) + 1) / 6').evaluate({})).to.equal(6);
+			});
+
+			/* Reduced operations keep their operator token's type, but are operands */
+			it('Operations as operands of other operators', function () {
+				expect(arithmetic('a.b + a.b - -a.b').evaluate({ a: { b: 2 } })).to.equal(6);
+				expect(arithmetic('a.b * -a.b').evaluate({ a: { b: 2 } })).to.equal(-4);
+				expect(arithmetic('!a.b && a.c').evaluate({ a: { b: 0, c: 3 } })).to.equal(3);
+				expect(arithmetic('[1, -a + 3]').evaluate({ a: 1 })).to.deep.equal([1, 2]);
+			});
+
+			it('Indirection chains', function () {
+				expect(arithmetic('func(3)(4)[0].value').evaluate({ func: function (a) { return function (b) { return [{ value: a + 2 * b }]; }; } })).to.equal(11);
+				expect(arithmetic('arr[0][1][2]').evaluate({ arr: [[[0,1,2], [3,4,5]], [[6,7,8], [9,10,11]]] })).to.equal(5);
+			});
+
+			it('Evaluates the base of a method call once', function () {
+				var count = 0;
+				var scope = { get: function () { count++; return { f: function () { return this.v; }, v: 7 }; } };
+				expect(arithmetic('get().f()').evaluate(scope)).to.equal(7);
+				expect(count).to.equal(1);
+			});
+
+			it('Relational operators', function () {
+				expect(arithmetic('1 < 2').evaluate({})).to.equal(true);
+				expect(arithmetic('2 < 2').evaluate({})).to.equal(false);
+				expect(arithmetic('2 <= 2').evaluate({})).to.equal(true);
+				expect(arithmetic('3 <= 2').evaluate({})).to.equal(false);
+				expect(arithmetic('3 > 2').evaluate({})).to.equal(true);
+				expect(arithmetic('2 > 2').evaluate({})).to.equal(false);
+				expect(arithmetic('2 >= 2').evaluate({})).to.equal(true);
+				expect(arithmetic('1 >= 2').evaluate({})).to.equal(false);
+				expect(arithmetic('a < b').evaluate({ a: 'apple', b: 'banana' })).to.equal(true);
+			});
+
+			it('Keyword relational operators', function () {
+				var scope = { obj: { key: 1 }, arr: [], Array: Array, Date: Date, index: 'key', inner: 'nope' };
+				expect(arithmetic('"key" in obj').evaluate(scope)).to.equal(true);
+				expect(arithmetic('"nope" in obj').evaluate(scope)).to.equal(false);
+				expect(arithmetic('index in obj').evaluate(scope)).to.equal(true);
+				expect(arithmetic('inner in obj').evaluate(scope)).to.equal(false);
+				expect(arithmetic('arr instanceof Array').evaluate(scope)).to.equal(true);
+				expect(arithmetic('arr instanceof Date').evaluate(scope)).to.equal(false);
+				expect(function () { arithmetic('obj inner'); }).to.throw(Error);
+			});
+
+			it('Shift operators', function () {
+				expect(arithmetic('1 << 3').evaluate({})).to.equal(8);
+				expect(arithmetic('-16 >> 2').evaluate({})).to.equal(-4);
+				expect(arithmetic('-16 >>> 28').evaluate({})).to.equal(15);
+			});
+
+			it('Relational operator precedence', function () {
+				expect(arithmetic('1 + 1 < 3').evaluate({})).to.equal(true);
+				expect(arithmetic('1 << 2 > 3').evaluate({})).to.equal(true);
+				expect(arithmetic('16 >> 2 >= 4').evaluate({})).to.equal(true);
+				expect(arithmetic('1 < 2 === 2 < 3').evaluate({})).to.equal(true);
+				expect(arithmetic('3 > 2 > 1').evaluate({})).to.equal(false);
+				expect(arithmetic('1 < 2 && 3 >= 4').evaluate({})).to.equal(false);
+				expect(arithmetic('"a" in obj === "b" in obj').evaluate({ obj: { a: 1 } })).to.equal(false);
+				expect(arithmetic('x < 5 ? "low" : "high"').evaluate({ x: 7 })).to.equal('high');
+				expect(arithmetic('items.length > 0 & 1 < 2').evaluate({ items: [1] })).to.equal(1);
+			});
+
+			it('Ternary operator', function () {
+				expect(arithmetic('true ? 1 : 2').evaluate({})).to.equal(1);
+				expect(arithmetic('false ? 1 : 2').evaluate({})).to.equal(2);
+				expect(arithmetic('5 + 0 ? 1 + 2 : 2 + 3').evaluate({})).to.equal(3);
+				expect(arithmetic('0 * 5 ? 1 + 2 : 2 + 3').evaluate({})).to.equal(5);
+			});
+
 		});
 
-		it('Boolean logic', function () {
-			expect(arithmetic('!true').evaluate({})).to.equal(false);
-			expect(arithmetic('!false').evaluate({})).to.equal(true);
-			expect(arithmetic('!!true').evaluate({})).to.equal(true);
-			expect(arithmetic('!!false').evaluate({})).to.equal(false);
-			expect(arithmetic('true && true').evaluate({})).to.equal(true);
-			expect(arithmetic('true && false').evaluate({})).to.equal(false);
-			expect(arithmetic('false && true').evaluate({})).to.equal(false);
-			expect(arithmetic('false && false').evaluate({})).to.equal(false);
-			expect(arithmetic('true || true').evaluate({})).to.equal(true);
-			expect(arithmetic('true || false').evaluate({})).to.equal(true);
-			expect(arithmetic('false || true').evaluate({})).to.equal(true);
-			expect(arithmetic('false || false').evaluate({})).to.equal(false);
+		describe('Literals', function () {
+
+			it('Array literals', function () {
+				expect(arithmetic('[]').evaluate({})).to.deep.equal([]);
+				expect(arithmetic('[1, 2, 3]').evaluate({})).to.deep.equal([1, 2, 3]);
+				expect(arithmetic('[a, b]').evaluate({ a: 'x', b: 'y' })).to.deep.equal(['x', 'y']);
+				expect(arithmetic('[(1, 2), 3]').evaluate({})).to.deep.equal([2, 3]);
+				expect(arithmetic('[a + 1, [a, [a * 2]]]').evaluate({ a: 3 })).to.deep.equal([4, [3, [6]]]);
+				expect(arithmetic('[10, 20, 30][1]').evaluate({})).to.equal(20);
+				expect(arithmetic('[1, 2, 3].length').evaluate({})).to.equal(3);
+			});
+
+			it('Object literals', function () {
+				expect(arithmetic('{}').evaluate({})).to.deep.equal({});
+				expect(arithmetic('{ id: x, name: y }').evaluate({ x: 1, y: 'one' })).to.deep.equal({ id: 1, name: 'one' });
+				expect(arithmetic('{ id: 1 }.id').evaluate({})).to.equal(1);
+				expect(arithmetic('{ value: cond ? 1 : 2 }').evaluate({ cond: false })).to.deep.equal({ value: 2 });
+			});
+
+			it('Object literals with quoted and computed keys', function () {
+				expect(arithmetic('{ "first name": 1, \'last-name\': 2, 3: 4 }').evaluate({})).to.deep.equal({ 'first name': 1, 'last-name': 2, '3': 4 });
+				expect(arithmetic('{ [key]: 1, [key + "2"]: 2 }').evaluate({ key: 'k' })).to.deep.equal({ k: 1, k2: 2 });
+			});
+
+			it('Nested literals', function () {
+				var scope = { a: 1, b: 2 };
+				expect(arithmetic('{ list: [a, { b: b }], obj: { inner: [[a]] } }').evaluate(scope))
+					.to.deep.equal({ list: [1, { b: 2 }], obj: { inner: [[1]] } });
+				expect(arithmetic('[{ id: a }, { id: b }][1].id').evaluate(scope)).to.equal(2);
+			});
+
+			it('Literals as function parameters', function () {
+				var scope = { args: function () { return [].slice.call(arguments); } };
+				expect(arithmetic('args()').evaluate(scope)).to.deep.equal([]);
+				expect(arithmetic('args([1, 2], { a: 3 })').evaluate(scope)).to.deep.equal([[1, 2], { a: 3 }]);
+			});
+
+			it('Invalid object literals', function () {
+				expect(function () { arithmetic('{ a }'); }).to.throw(Error);
+				expect(function () { arithmetic('{ a: }'); }).to.throw(Error);
+				expect(function () { arithmetic('{ a: 1, }'); }).to.throw(Error);
+			});
+
+			it('Literals are read-only', function () {
+				expect(function () { arithmetic('[a]').set({ a: 1 }, 2); }).to.throw(Error);
+			});
+
 		});
 
-		it('Order of operations', function () {
-			expect(arithmetic('true && false || false && true').evaluate({})).to.equal(false);
-			expect(arithmetic('false || false && true || false').evaluate({})).to.equal(false);
-			expect(arithmetic('1 - 1 + 1 + 3 * 4 / 2 * 5').evaluate({})).to.equal(31);
-			expect(arithmetic('((3 + 4) * (7 - 2) + 1) / 6').evaluate({})).to.equal(6);
+		describe('Filters', function () {
+
+			var filters = {
+				upper: function (value) { return value.toUpperCase(); },
+				limitTo: function (value, count, offset) {
+					offset = offset || 0;
+					return value.slice(offset, offset + count);
+				},
+				orderBy: function (value, key) {
+					return _.sortBy(value, key);
+				}
+			};
+
+			it('Disabled by default ("|" is bitwise OR)', function () {
+				expect(arithmetic('3 | 18').evaluate({})).to.equal(19);
+			});
+
+			it('Applies filters', function () {
+				expect(arithmetic('name | upper', { filters: filters }).evaluate({ name: 'mark' })).to.equal('MARK');
+			});
+
+			it('Passes filter arguments', function () {
+				var scope = { items: [1, 2, 3, 4, 5], count: 2 };
+				expect(arithmetic('items | limitTo:count', { filters: filters }).evaluate(scope)).to.deep.equal([1, 2]);
+				expect(arithmetic('items | limitTo:count:count + 1', { filters: filters }).evaluate(scope)).to.deep.equal([4, 5]);
+			});
+
+			it('Chains filters', function () {
+				var scope = { items: [{ name: 'c' }, { name: 'a' }, { name: 'b' }] };
+				expect(arithmetic('items | orderBy:\'name\' | limitTo:2', { filters: filters }).evaluate(scope))
+					.to.deep.equal([{ name: 'a' }, { name: 'b' }]);
+			});
+
+			it('Has lower precedence than other operators', function () {
+				var scope = { a: 'x', b: 'y', c: true };
+				expect(arithmetic('a + b | upper', { filters: filters }).evaluate(scope)).to.equal('XY');
+				expect(arithmetic('c ? a : b | upper', { filters: filters }).evaluate(scope)).to.equal('X');
+				expect(arithmetic('!c || b | upper', { filters: filters }).evaluate(scope)).to.equal('Y');
+				expect(arithmetic('(a | upper) + b', { filters: filters }).evaluate(scope)).to.equal('Xy');
+			});
+
+			it('Applies filters to each list item separately', function () {
+				var scope = { a: 'x', b: 'y', f: function (p, q) { return p + q; } };
+				expect(arithmetic('[a | upper, b]', { filters: filters }).evaluate(scope)).to.deep.equal(['X', 'y']);
+				expect(arithmetic('f(a, b | upper)', { filters: filters }).evaluate(scope)).to.equal('xY');
+				expect(arithmetic('{ key: a | upper }', { filters: filters }).evaluate(scope)).to.deep.equal({ key: 'X' });
+			});
+
+			it('Uses globally registered filters', function () {
+				arithmetic.registerFilter('double', function (value) { return value * 2; });
+				expect(arithmetic('3 | double', { filters: true }).evaluate({})).to.equal(6);
+				expect(arithmetic('3 | double', { filters: filters }).evaluate({})).to.equal(6);
+				expect(arithmetic('3 | double', { filters: { double: _.identity } }).evaluate({})).to.equal(3);
+				delete arithmetic.filters.double;
+			});
+
+			it('Throws on unknown filters', function () {
+				expect(function () { arithmetic('name | nope', { filters: filters }); }).to.throw(/Unknown filter "nope"/);
+			});
+
+			it('Throws on malformed filter chains', function () {
+				expect(function () { arithmetic('| upper', { filters: filters }); }).to.throw(Error);
+				expect(function () { arithmetic('name | 42', { filters: filters }); }).to.throw(Error);
+				expect(function () { arithmetic('name | limitTo:', { filters: filters }); }).to.throw(Error);
+			});
+
 		});
 
-		it('Indirection chains', function () {
-			expect(arithmetic('func(3)(4)[0].value').evaluate({ func: function (a) { return function (b) { return [{ value: a + 2 * b }]; }; } })).to.equal(11);
-			expect(arithmetic('arr[0][1][2]').evaluate({ arr: [[[0,1,2], [3,4,5]], [[6,7,8], [9,10,11]]] })).to.equal(5);
+		describe('Safe mode', function () {
+
+			var scope = {
+				obj: { value: 1, method: function () { return this.value; } },
+				key: 'constructor',
+				max: Math.max,
+				Function: Function,
+				evil: eval
+			};
+
+			function safe(expr, options) {
+				return arithmetic(expr, _.assign({ safe: true }, options));
+			}
+
+			it('Allows ordinary expressions', function () {
+				expect(safe('obj.value + obj["value"]').evaluate(scope)).to.equal(2);
+				expect(safe('obj.method()').evaluate(scope)).to.equal(1);
+				expect(safe('max(1, 2)').evaluate(scope)).to.equal(2);
+			});
+
+			it('Is disabled by default', function () {
+				expect(arithmetic('obj.constructor').evaluate(scope)).to.equal(Object);
+			});
+
+			it('Refuses forbidden members at compile time', function () {
+				expect(function () { safe('obj.constructor'); }).to.throw(SecurityError);
+				expect(function () { safe('obj.__proto__'); }).to.throw(SecurityError);
+				expect(function () { safe('max.prototype'); }).to.throw(SecurityError);
+				expect(function () { safe('obj.__defineGetter__'); }).to.throw(SecurityError);
+				expect(function () { safe('constructor'); }).to.throw(SecurityError);
+				expect(function () { safe('{ __proto__: obj }'); }).to.throw(SecurityError);
+			});
+
+			it('Refuses forbidden subscripts at evaluation time', function () {
+				var expr = safe('obj[key]');
+				expect(function () { expr.evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { expr.set(scope, 1); }).to.throw(SecurityError);
+				expect(function () { safe('obj["__pro" + "to__"]').evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { safe('obj[["constructor"]]').evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { safe('{ [key]: 1 }').evaluate(scope); }).to.throw(SecurityError);
+			});
+
+			it('Refuses calls to Function and eval', function () {
+				expect(function () { safe('Function("return process")()').evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { safe('evil("1")').evaluate(scope); }).to.throw(SecurityError);
+			});
+
+			it('Refuses indirect calls via call, apply and bind', function () {
+				var scope = { f: function () {}, w: { Function: Function, eval: eval }, Reflect: Reflect };
+				expect(function () {
+					safe('f.call.call(w.Function, null, "return process")()').evaluate(scope);
+				}).to.throw(SecurityError);
+				expect(function () { safe('f.call.call(w.eval, null, "1")').evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { safe('f.apply.call(w.Function, null, ["return 1"])').evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { safe('f.bind.call(w.Function, null, "return 1")').evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { safe('Reflect.apply(w.Function, null, ["return 1"])').evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { safe('f.call(null)').evaluate(scope); }).to.throw(SecurityError);
+			});
+
+			it('Refuses calls to bound functions unless whitelisted', function () {
+				var scope = { F: Function.bind(null), max: Math.max.bind(Math) };
+				expect(function () { safe('F("return process")()').evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { safe('max(1, 2)').evaluate(scope); }).to.throw(SecurityError);
+				expect(arithmetic('max(1, 2)', { safe: { functions: [scope.max] } }).evaluate(scope)).to.equal(2);
+				expect(safe('f()').evaluate({ f: function () { return 3; } })).to.equal(3);
+			});
+
+			it('Restricts calls to whitelisted functions', function () {
+				var options = { safe: { functions: [Math.max] } };
+				expect(arithmetic('max(1, 2)', options).evaluate(scope)).to.equal(2);
+				expect(function () { arithmetic('obj.method()', options).evaluate(scope); }).to.throw(SecurityError);
+				expect(function () { arithmetic('max.call(null, 1)', options).evaluate(scope); }).to.throw(SecurityError);
+			});
+
+			it('Reports the position of the offending token', function () {
+				var error;
+				try {
+					safe('1 + obj.constructor');
+				} catch (e) {
+					error = e;
+				}
+				expect(error).to.be.an.instanceof(SecurityError);
+				expect(error).to.be.an.instanceof(Error);
+				expect(error.name).to.equal('SecurityError');
+				expect(error.position).to.equal(8);
+				try {
+					safe('obj.value + obj[key]').evaluate(scope);
+				} catch (e) {
+					error = e;
+				}
+				expect(error.position).to.equal(15);
+			});
+
 		});
 
-		it('Ternary operator', function () {
-			expect(arithmetic('true ? 1 : 2').evaluate({})).to.equal(1);
-			expect(arithmetic('false ? 1 : 2').evaluate({})).to.equal(2);
-			expect(arithmetic('5 + 0 ? 1 + 2 : 2 + 3').evaluate({})).to.equal(3);
-			expect(arithmetic('0 * 5 ? 1 + 2 : 2 + 3').evaluate({})).to.equal(5);
+		describe('Syntax errors', function () {
+
+			function error(expr) {
+				try {
+					arithmetic(expr);
+				} catch (e) {
+					return e;
+				}
+			}
+
+			it('Throws ParseError with location of unexpected text', function () {
+				var e = error('a.b + c @ d');
+				expect(e).to.be.an.instanceof(ParseError);
+				expect(e).to.be.an.instanceof(Error);
+				expect(e.name).to.equal('ParseError');
+				expect(e.position).to.equal(8);
+				expect(e.line).to.equal(1);
+				expect(e.column).to.equal(9);
+				expect(e.length).to.equal(1);
+				expect(e.text).to.equal('@');
+				expect(e.expected).to.include.members(['operator', 'call', 'index']);
+			});
+
+			it('Reports line and column in multi-line expressions', function () {
+				var e = error('a +\n  b #');
+				expect(e.position).to.equal(8);
+				expect(e.line).to.equal(2);
+				expect(e.column).to.equal(5);
+				expect(e.frame).to.equal(
+					'  1 | a +\n' +
+					'> 2 |   b #\n' +
+					'    |     ^');
+				expect(e.message).to.contain(e.frame);
+			});
+
+			it('Reports unterminated groups at the end of the expression', function () {
+				var e = error('a.b + (c *');
+				expect(e).to.be.an.instanceof(ParseError);
+				expect(e.position).to.equal(10);
+				expect(e.length).to.equal(0);
+				expect(e.expected).to.include.members(['parentheses', 'identifier']);
+			});
+
+			it('Reports expressions which cannot be compiled', function () {
+				var e = error('1 + 2 *');
+				expect(e).to.be.an.instanceof(ParseError);
+				expect(e.position).to.equal(6);
+				expect(e.text).to.equal('*');
+				expect(e.expected).to.deep.equal(['value']);
+				e = error('{ a: 1, [b]: }');
+				expect(e).to.be.an.instanceof(ParseError);
+				expect(e.position).to.equal(8);
+				expect(e.text).to.equal('[b]');
+			});
+
 		});
 
-	});
+		describe('Dependencies', function () {
+
+			function dependencies(expr, options) {
+				return arithmetic(expr, options).dependencies();
+			}
+
+			it('Reports root identifiers and static member paths', function () {
+				var deps = dependencies('model.items[mv.itemIndex]');
+				expect(deps.roots).to.deep.equal(['model', 'mv']);
+				expect(deps.paths).to.deep.equal([
+					{ path: ['model', 'items'], open: true },
+					{ path: ['mv', 'itemIndex'], open: false }
+				]);
+			});
+
+			it('Treats literal subscripts as static members', function () {
+				expect(dependencies('a[\'b\'][0].c').paths).to.deep.equal([
+					{ path: ['a', 'b', '0', 'c'], open: false }
+				]);
+			});
 
-	describe('Writables', function () {
+			it('Marks paths which are called as open-ended', function () {
+				var deps = dependencies('f(x).y + a.b() + a.b');
+				expect(deps.roots).to.deep.equal(['f', 'x', 'a']);
+				expect(deps.paths).to.deep.equal([
+					{ path: ['f'], open: true },
+					{ path: ['x'], open: false },
+					{ path: ['a', 'b'], open: true }
+				]);
+			});
+
+			it('Finds dependencies in operands, literals and filters', function () {
+				var deps = dependencies('c ? { k: v, [w]: -n } : [x | f:y, true]', { filters: { f: _.identity } });
+				expect(deps.roots).to.deep.equal(['c', 'v', 'w', 'n', 'x', 'y']);
+			});
+
+			it('Ignores constants unless rawScope is set', function () {
+				expect(dependencies('a === null').roots).to.deep.equal(['a']);
+				expect(dependencies('a === null', { rawScope: true }).roots).to.deep.equal(['a', 'null']);
+			});
+
+			it('Analyzes expressions and parse trees without an evaluator', function () {
+				var expr = 'model.items[mv.itemIndex] | f:null';
+				var options = { filters: { f: _.identity } };
+				var deps = dependencies(expr, options);
+				expect(arithmetic.dependencies(expr, options)).to.deep.equal(deps);
+				var tree = recursiveParser(expr, arithmeticLanguage);
+				expect(arithmetic.dependencies(tree, options)).to.deep.equal(deps);
+				expect(arithmetic.dependencies('a === null', { rawScope: true }).roots).to.deep.equal(['a', 'null']);
+				expect(function () { arithmetic.dependencies('a | f', { filters: {} }); }).to.throw(ParseError);
+			});
 
-		it('Directly to scope (requires rawScope=true)', function() {
-			var scope = { value: undefined };
-			arithmetic('value').set(scope, 'a');
-			expect(scope.value).to.be.equal(undefined);
-			arithmetic('value', { rawScope: true }).set(scope, 'b');
-			expect(scope.value).to.be.equal('b');
 		});
 
-		it('Via indirection', function() {
-			var scope = { key: 'test', data: { array: [1, 2, 3], object: {}, value: null } };
-			arithmetic('data.array[1]').set(scope, 4);
-			expect(scope.data.array.join(',')).to.be.equal('1,4,3');
-			arithmetic('data.object[key]').set(scope, 'lol');
-			expect(scope.data.object.test).to.be.equal('lol');
-			arithmetic('data.value').set(scope, 3.14);
-			expect(scope.data.value).to.be.equal(3.14);
+		describe('Autocompletion', function () {
+
+			var scope = {
+				user: { name: 'x', address: { city: 'y' } },
+				items: [1, 2]
+			};
+
+			function identifiers(expr, position) {
+				return _(arithmetic.complete(expr, scope).candidates)
+					.filter({ term: 'identifier', position: position })
+					.pluck('text')
+					.value();
+			}
+
+			it('Suggests names from the scope', function () {
+				expect(identifiers('1 + ', 4)).to.include.members(['user', 'items', 'true', 'null']);
+				expect(identifiers('us', 0)).to.deep.equal(['user']);
+			});
+
+			it('Suggests properties of static member paths', function () {
+				expect(identifiers('user.', 5)).to.deep.equal(['name', 'address']);
+				expect(identifiers('user.address.ci', 13)).to.deep.equal(['city']);
+				expect(identifiers('nothing.', 8)).to.deep.equal([]);
+				expect(identifiers('(user).', 7)).to.deep.equal([]);
+			});
+
 		});
 
-	});
+		describe('Writables', function () {
+
+			it('Directly to scope (requires rawScope=true)', function() {
+				var scope = { value: undefined };
+				arithmetic('value').set(scope, 'a');
+				expect(scope.value).to.be.equal(undefined);
+				arithmetic('value', { rawScope: true }).set(scope, 'b');
+				expect(scope.value).to.be.equal('b');
+			});
 
-	describe('Strict mode', function () {
+			it('Via indirection', function() {
+				var scope = { key: 'test', data: { array: [1, 2, 3], object: {}, value: null } };
+				arithmetic('data.array[1]').set(scope, 4);
+				expect(scope.data.array.join(',')).to.be.equal('1,4,3');
+				arithmetic('data.object[key]').set(scope, 'lol');
+				expect(scope.data.object.test).to.be.equal('lol');
+				arithmetic('data.value').set(scope, 3.14);
+				expect(scope.data.value).to.be.equal(3.14);
+			});
 
-		it('Strict mode: throws on attempt to access non-existant global', function () {
-			var scope = { object: {} };
-			expect(function () { arithmetic('doesntExist').evaluate(scope); }).to.throw();
-			expect(function () { arithmetic('object.doesntExist').evaluate(scope); }).to.not.throw();
-			expect(function () { arithmetic('doesntExist').set(scope, 1); }).to.throw();
-			expect(function () { arithmetic('object.doesntExist').set(scope, 1); }).to.not.throw();
-			expect(scope.object.doesntExist).to.be.equal(1);
 		});
 
-		it('Loose mode: does not throw on attempt to access non-existant global', function () {
-			var scope = { object: {} };
-			expect(function () { arithmetic('doesntExist', { notStrict: true }).evaluate(scope); }).to.not.throw();
-			expect(function () { arithmetic('object.doesntExist', { notStrict: true }).evaluate(scope); }).to.not.throw();
-			expect(function () { arithmetic('object.doesntExist', { notStrict: true }).set(scope, 1); }).to.not.throw();
-			expect(scope.object.doesntExist).to.be.equal(1);
+		describe('Strict mode', function () {
+
+			it('Strict mode: throws on attempt to access non-existant global', function () {
+				var scope = { object: {} };
+				expect(function () { arithmetic('doesntExist').evaluate(scope); }).to.throw();
+				expect(function () { arithmetic('object.doesntExist').evaluate(scope); }).to.not.throw();
+				expect(function () { arithmetic('doesntExist').set(scope, 1); }).to.throw();
+				expect(function () { arithmetic('object.doesntExist').set(scope, 1); }).to.not.throw();
+				expect(scope.object.doesntExist).to.be.equal(1);
+			});
+
+			it('Loose mode: does not throw on attempt to access non-existant global', function () {
+				var scope = { object: {} };
+				expect(function () { arithmetic('doesntExist', { notStrict: true }).evaluate(scope); }).to.not.throw();
+				expect(function () { arithmetic('object.doesntExist', { notStrict: true }).evaluate(scope); }).to.not.throw();
+				expect(function () { arithmetic('object.doesntExist', { notStrict: true }).set(scope, 1); }).to.not.throw();
+				expect(scope.object.doesntExist).to.be.equal(1);
+			});
+
 		});
 
-	});
+	}
 
 });
@@ -0,0 +1,139 @@
+var chai = require('chai');
+var should = chai.should();
+var expect = chai.expect;
+
+var _ = require('lodash');
+require('blanket');
+
+var ast = require('../util/ast');
+var simpleParser = require('../parsers/simple');
+var recursiveParser = require('../parsers/recursive');
+var arithmetic = require('../parsers/arithmetic');
+var comprehensionLanguage = require('../languages/comprehension');
+var arithmeticLanguage = require('../languages/arithmetic');
+
+/**
+ * @name astTest
+ */
+describe('Syntax tree utilities', function () {
+
+	/* Nested array of [type, value, children...] for comparison */
+	function shape(node) {
+		return [node.type, node.value].concat(node.children.map(shape));
+	}
+
+	function types(root) {
+		var result = [];
+		ast.walk(root, function (node) {
+			result.push(node.type);
+		});
+		return result;
+	}
+
+	describe('Adapters', function () {
+
+		it('Converts simple parser output', function () {
+			var tree = ast.fromSimple(simpleParser('a {b:c}', comprehensionLanguage, { positions: true }));
+			expect(shape(tree)).to.deep.equal(['root', undefined,
+				['text', 'a'],
+				['whitespace', undefined],
+				['capture', undefined, ['text', 'b'], ['captureType', undefined], ['text', 'c']]]);
+			expect(_.pick(tree.children[2], 'start', 'end')).to.deep.equal({ start: 2, end: 7 });
+			expect(tree.children[2].source.type).to.equal('capture');
+		});
+
+		it('Converts recursive parser output', function () {
+			var tree = ast.fromRecursive(recursiveParser('a * (b)', arithmeticLanguage));
+			expect(shape(tree)).to.deep.equal(['result', undefined,
+				['identifier', 'a'],
+				['operator', '*'],
+				['parentheses', undefined, ['identifier', 'b']]]);
+			expect(_.pick(tree.children[2], 'start', 'end')).to.deep.equal({ start: 4, end: 7 });
+			var recovered = ast.fromRecursive(recursiveParser('a * (b', arithmeticLanguage, { recover: true }));
+			expect(recovered.type).to.equal('result');
+		});
+
+		it('Converts arithmetic expression trees', function () {
+			var tree = ast.fromArithmetic(arithmetic('f(x.y, 2)[0] + -z'));
+			expect(shape(tree)).to.deep.equal(['binary', '+',
+				['index', undefined,
+					['call', undefined, ['symbol', 'f'], ['member', 'y', ['symbol', 'x']], ['literal', 2]],
+					['literal', 0]],
+				['prefix', '-', ['symbol', 'z']]]);
+			expect(_.pick(tree, 'start', 'end')).to.deep.equal({ start: 0, end: 17 });
+			expect(_.pick(tree.children[0].children[0].children[1], 'start', 'end')).to.deep.equal({ start: 2, end: 5 });
+		});
+
+		it('Converts literals, filter chains and codegen evaluators', function () {
+			var tree = arithmetic('[a, { k: b ? 1 : 2 }] | first', {
+				filters: { first: _.first },
+				codegen: true
+			}).ast();
+			expect(shape(tree)).to.deep.equal(['filterChain', undefined,
+				['array', undefined,
+					['symbol', 'a'],
+					['object', undefined,
+						['property', undefined, ['literal', 'k'],
+							['ternary', undefined, ['symbol', 'b'], ['literal', 1], ['literal', 2]]]]],
+				['filter', 'first']]);
+			expect(_.pick(tree.children[1], 'start', 'end')).to.deep.equal({ start: 24, end: 29 });
+		});
+
+		it('Rejects objects which are not arithmetic evaluators', function () {
+			expect(function () { ast.fromArithmetic({}); }).to.throw(Error);
+		});
+
+	});
+
+	describe('Traversal', function () {
+
+		var tree = ast.fromArithmetic(arithmetic('a + b * c'));
+
+		it('Walks depth-first, skipping children when the callback returns false', function () {
+			expect(types(tree)).to.deep.equal(['binary', 'symbol', 'binary', 'symbol', 'symbol']);
+			var visited = [];
+			ast.walk(tree, function (node, parent, depth) {
+				visited.push(node.value + ':' + depth);
+				return node.value !== '*';
+			});
+			expect(visited).to.deep.equal(['+:0', 'a:1', '*:1']);
+		});
+
+		it('Calls enter, leave and per-type hooks', function () {
+			var log = [];
+			ast.visit(tree, {
+				enter: function (node) { log.push('>' + node.value); },
+				leave: function (node) { log.push('<' + node.value); },
+				binary: {
+					leave: function (node, parent) { log.push('binary ' + (parent ? parent.value : null)); }
+				},
+				symbol: function (node) { log.push('symbol'); }
+			});
+			expect(log).to.deep.equal([
+				'>+', '>a', 'symbol', '<a',
+				'>*', '>b', 'symbol', '<b', '>c', 'symbol', '<c', 'binary +', '<*',
+				'binary null', '<+']);
+		});
+
+		it('Maps to a new tree without modifying the original', function () {
+			var mapped = ast.map(tree, function (node) {
+				if (node.type === 'symbol') {
+					return ast.node('symbol', { value: node.value.toUpperCase() });
+				}
+			});
+			expect(shape(mapped)).to.deep.equal(['binary', '+',
+				['symbol', 'A'], ['binary', '*', ['symbol', 'B'], ['symbol', 'C']]]);
+			expect(tree.children[0].value).to.equal('a');
+		});
+
+		it('Finds the first matching node', function () {
+			expect(ast.find(tree, { type: 'symbol' }).value).to.equal('a');
+			expect(ast.find(tree, function (node, parent) {
+				return parent && parent.value === '*';
+			}).value).to.equal('b');
+			expect(ast.find(tree, { type: 'call' })).to.equal(null);
+		});
+
+	});
+
+});
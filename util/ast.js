@@ -0,0 +1,255 @@
+var _ = require('lodash');
+
+module.exports = {
+	node: createNode,
+	walk: walk,
+	visit: visit,
+	map: map,
+	find: find,
+	fromSimple: fromSimple,
+	fromRecursive: fromRecursive,
+	fromArithmetic: fromArithmetic
+};
+
+/**
+ * @name ast
+ *
+ * @description
+ * A common syntax tree format for the output of all the parsers, with
+ * functions for traversing and transforming trees in that format, so that
+ * tooling need only be written once.
+ *
+ * Each node is an object with:
+ *
+ *  * type: the type of the node (the name of the language term, or for
+ *    arithmetic expressions one of: symbol, literal, member, index, call,
+ *    array, object, property, filterChain, filter, ternary, prefix, postfix,
+ *    binary)
+ *
+ *  * value: the text of a leaf node (where the parser provides it), the name
+ *    of a symbol/member/filter, the value of a literal, or the operator of an
+ *    operation.  Undefined for other nodes.
+ *
+ *  * start, end: offsets of the node in the source (end is exclusive), or
+ *    undefined if not known (e.g. if the simple parser was not asked for
+ *    positions)
+ *
+ *  * children: array of child nodes, in source order (empty for leaves)
+ *
+ *  * source: the node (or expression tree object) which this was created from
+ *
+ * Adapters convert the output of each parser: {@link fromSimple},
+ * {@link fromRecursive} and {@link fromArithmetic}.
+ */
+
+/**
+ * @name createNode
+ *
+ * @param {string} type
+ * The type of the node
+ *
+ * @param {object} [props]
+ * Any of value, start, end, children, source
+ *
+ * @returns {object}
+ * A node in the common format
+ */
+function createNode(type, props) {
+	props = props || {};
+	return {
+		type: type,
+		value: props.value,
+		start: props.start,
+		end: props.end,
+		children: props.children || [],
+		source: props.source
+	};
+}
+
+/**
+ * @name walk
+ *
+ * @param {object} root
+ * The root node
+ *
+ * @param {function} fn
+ * function(node, parent, depth), called for each node in depth-first order
+ * (parents before children).  If it returns false, the node's children are
+ * skipped.
+ */
+function walk(root, fn) {
+	visit(root, { enter: fn });
+}
+
+/**
+ * @name visit
+ *
+ * @param {object} root
+ * The root node
+ *
+ * @param {object} visitor
+ * Hooks, each called as function(node, parent, depth):
+ *
+ *  * enter: called for each node before its children.  If it returns false,
+ *    the node's children are skipped (but leave is still called).
+ *
+ *  * leave: called for each node after its children.
+ *
+ *  * [type]: hooks for nodes of a given type only, either an enter function
+ *    or an object with enter/leave functions.  These are called after the
+ *    generic enter hook and before the generic leave hook.
+ */
+function visit(root, visitor) {
+	visitNode(root, null, 0);
+
+	function visitNode(node, parent, depth) {
+		var typed = _.has(visitor, node.type) && node.type !== 'enter' && node.type !== 'leave' ?
+			visitor[node.type] : null;
+		if (typeof typed === 'function') {
+			typed = { enter: typed };
+		}
+		var descend = call(visitor.enter) !== false;
+		descend = call(typed && typed.enter) !== false && descend;
+		if (descend) {
+			_.each(node.children, function (child) {
+				visitNode(child, node, depth + 1);
+			});
+		}
+		call(typed && typed.leave);
+		call(visitor.leave);
+
+		function call(hook) {
+			return hook ? hook(node, parent, depth) : undefined;
+		}
+	}
+}
+
+/**
+ * @name map
+ *
+ * @param {object} root
+ * The root node
+ *
+ * @param {function} fn
+ * function(node, parent), called for each node after its children have been
+ * mapped (node is a copy with the mapped children, and parent is the original
+ * parent).  Returns the replacement node, or undefined to keep the copy.
+ *
+ * @returns {object}
+ * The new tree.  The original tree is not modified.
+ */
+function map(root, fn) {
+	return mapNode(root, null);
+
+	function mapNode(node, parent) {
+		var copy = _.assign({}, node, {
+			children: _.map(node.children, function (child) {
+				return mapNode(child, node);
+			})
+		});
+		var result = fn(copy, parent);
+		return result === undefined ? copy : result;
+	}
+}
+
+/**
+ * @name find
+ *
+ * @param {object} root
+ * The root node
+ *
+ * @param {function|object|string} predicate
+ * function(node, parent) which returns true for the node to find, or a
+ * lodash-style callback shorthand, e.g. `{ type: 'capture' }`
+ *
+ * @returns {object}
+ * The first matching node in depth-first order, or null if none match
+ */
+function find(root, predicate) {
+	var test = _.callback(predicate);
+	var found = null;
+	walk(root, function (node, parent) {
+		if (found) {
+			return false;
+		}
+		if (test(node, parent)) {
+			found = node;
+			return false;
+		}
+	});
+	return found;
+}
+
+/**
+ * @name fromSimple
+ *
+ * @param {parsetree} tree
+ * Output of the {@link simpleParser} (an array of nodes)
+ *
+ * @returns {object}
+ * The tree in the common format, with a root node of type "root".  Positions
+ * are only available if the tree was parsed with the "positions" option.
+ */
+function fromSimple(tree) {
+	var children = _.map(tree, convert);
+	return createNode('root', {
+		start: children.length ? _.first(children).start : undefined,
+		end: children.length ? _.last(children).end : undefined,
+		children: children,
+		source: tree
+	});
+
+	function convert(node) {
+		var isGroup = node.value instanceof Array;
+		return createNode(node.type, {
+			value: isGroup || node.value === null ? undefined : node.value,
+			start: node.start,
+			end: node.end,
+			children: isGroup ? _.map(node.value, convert) : [],
+			source: node
+		});
+	}
+}
+
+/**
+ * @name fromRecursive
+ *
+ * @param {parsetree|object} tree
+ * Output of the {@link recursiveParser} (or its result in "recover" mode)
+ *
+ * @returns {object}
+ * The tree in the common format.  The value of a node is its content, for
+ * nodes without subgroups (e.g. entities).
+ */
+function fromRecursive(tree) {
+	if (!tree.type && tree.tree) {
+		tree = tree.tree;
+	}
+	return convert(tree);
+
+	function convert(node) {
+		return createNode(node.type, {
+			value: node.groups ? undefined : node.content,
+			start: node.position,
+			end: node.position + node.length,
+			children: _.map(node.groups, convert),
+			source: node
+		});
+	}
+}
+
+/**
+ * @name fromArithmetic
+ *
+ * @param {function} evaluator
+ * An evaluator returned by the {@link arithmeticEvaluator}
+ *
+ * @returns {object}
+ * The expression tree of the evaluator in the common format
+ */
+function fromArithmetic(evaluator) {
+	if (!evaluator || typeof evaluator.ast !== 'function') {
+		throw new Error('Not an arithmetic evaluator');
+	}
+	return evaluator.ast();
+}
@@ -0,0 +1,133 @@
+var _ = require('lodash');
+
+module.exports = {
+	ParseError: ParseError,
+	SecurityError: SecurityError
+};
+
+/**
+ * @name SecurityError
+ *
+ * @param {string} message
+ * Description of the problem
+ *
+ * @param {number} position
+ * Position in the expression of the offending token
+ *
+ * @description
+ * Thrown by the {@link arithmeticEvaluator} in "safe" mode when an expression
+ * attempts something which could allow it to escape the sandbox, e.g. accessing
+ * an object's constructor or prototype, or calling the Function constructor.
+ *
+ * Forbidden property/variable names are reported when the expression is
+ * compiled.  Dynamic subscripts and function calls are checked when the
+ * expression is evaluated.
+ */
+function SecurityError(message, position) {
+	this.name = 'SecurityError';
+	this.message = message + ' at position ' + position;
+	this.position = position;
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, SecurityError);
+	} else {
+		this.stack = new Error(this.message).stack;
+	}
+}
+
+SecurityError.prototype = Object.create(Error.prototype);
+SecurityError.prototype.constructor = SecurityError;
+
+/**
+ * @name ParseError
+ *
+ * @param {string} message
+ * Description of the problem
+ *
+ * @param {object} details
+ *
+ *  * expression: the expression being parsed
+ *
+ *  * position: offset of the problem in the expression
+ *
+ *  * length: length of the offending text (default: 0)
+ *
+ *  * expected: names of terms which were expected at that position
+ *
+ * @description
+ * Thrown by the parsers on syntax errors, and by the {@link arithmeticEvaluator}
+ * when a parse tree cannot be compiled.
+ *
+ * Has the following properties, in addition to those of Error:
+ *
+ *  * expression: the expression being parsed
+ *
+ *  * position: offset of the offending text in the expression
+ *
+ *  * line, column: location of the offending text (both one-based)
+ *
+ *  * length: length of the offending text (zero at the end of the expression)
+ *
+ *  * text: the offending text
+ *
+ *  * expected: array of names of the terms which could have appeared at that
+ *    position.  The name of a group is included if its end marker could have
+ *    appeared there.
+ *
+ *  * frame: the lines of the expression around the problem, with the offending
+ *    text underlined
+ *
+ * The message includes the location and the code frame.
+ */
+function ParseError(message, details) {
+	details = details || {};
+	var expression = details.expression || '';
+	var position = details.position || 0;
+	var before = expression.substr(0, position).split('\n');
+	this.name = 'ParseError';
+	this.expression = expression;
+	this.position = position;
+	this.length = details.length || 0;
+	this.line = before.length;
+	this.column = _.last(before).length + 1;
+	this.text = expression.substr(position, this.length);
+	this.expected = details.expected || [];
+	this.frame = codeFrame(expression, this.line, this.column, this.length);
+	this.message = message + ' at line ' + this.line + ', column ' +
+		this.column + '\n' + this.frame;
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, ParseError);
+	} else {
+		this.stack = new Error(this.message).stack;
+	}
+}
+
+ParseError.prototype = Object.create(Error.prototype);
+ParseError.prototype.constructor = ParseError;
+
+/*
+ * Format the line containing the problem (and the lines either side of it),
+ * with line numbers and a marker under the offending text:
+ *
+ *   > 1 | a.b + (c *
+ *       |       ^
+ */
+function codeFrame(expression, line, column, length) {
+	var lines = expression.split('\n');
+	var first = Math.max(1, line - 1);
+	var last = Math.min(lines.length, line + 1);
+	var width = String(last).length;
+	return _.range(first, last + 1)
+		.map(function (number) {
+			var text = lines[number - 1];
+			var gutter = _.padLeft(number, width) + ' | ';
+			if (number !== line) {
+				return '  ' + gutter + text;
+			}
+			/* Preserve tabs so that the marker lines up */
+			var indent = text.substr(0, column - 1).replace(/[^\t]/g, ' ');
+			var marker = _.repeat('^', Math.max(1, Math.min(length, text.length - column + 1)));
+			return '> ' + gutter + text + '\n' +
+				'  ' + _.repeat(' ', width) + ' | ' + indent + marker;
+		})
+		.join('\n');
+}
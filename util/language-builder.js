@@ -2,6 +2,8 @@ var _ = require('lodash');
 
 module.exports = languageBuilder;
 
+languageBuilder.markerStrings = markerStrings;
+
 /**
  * @name languageBuilder
  *
@@ -190,3 +192,53 @@ function languageBuilder(spec, options) {
 	}
 
 }
+
+/**
+ * @name markerStrings
+ *
+ * @param {string|string[]|RegExp} marker
+ * A start/end marker of a term
+ *
+ * @returns {string[]}
+ * The literal strings which the marker matches, or an empty array if the
+ * marker is not a plain list of literals
+ *
+ * @description
+ * Recovers the literal strings from markers, including those converted to
+ * regular expressions by the "parseMarkers" option.  Used for autocompletion
+ * and unparsing.
+ */
+function markerStrings(marker) {
+	if (typeof marker === 'string') {
+		return [marker];
+	} else if (marker instanceof Array) {
+		return marker.slice();
+	} else if (!(marker instanceof RegExp)) {
+		return [];
+	}
+	/* Remove the wrapping added by the language builder */
+	var source = marker.source.replace(/^\^\((.*)\)$/, '$1');
+	var alternatives = [''];
+	for (var i = 0; i < source.length; i++) {
+		var c = source.charAt(i);
+		if (c === '|') {
+			alternatives.push('');
+		} else if (c !== '\\') {
+			if ('.+*?{}[]()^$'.indexOf(c) !== -1) {
+				return [];
+			}
+			alternatives[alternatives.length - 1] += c;
+		} else {
+			c = source.charAt(++i);
+			var atEnd = i === source.length - 1 || source.charAt(i + 1) === '|';
+			if (c === 'b' && atEnd) {
+				/* Word boundary at end of alternative */
+				continue;
+			} else if ('\\.+*?{}[]()^$|/'.indexOf(c) === -1) {
+				return [];
+			}
+			alternatives[alternatives.length - 1] += c;
+		}
+	}
+	return _.without(alternatives, '');
+}